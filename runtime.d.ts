@@ -0,0 +1,23 @@
+import type { WebAppManifest } from 'web-app-manifest';
+
+/** The URL of the manifest, or of the default manifest of the first app when there are several. */
+export const manifestUrl: string;
+/** The URL of every manifest, keyed by the name of its chunk, ex. "app-manifest-fr". */
+export const manifestUrls: Record<string, string>;
+
+/** The `name` of the manifest. */
+export const name: string | undefined;
+/** The `short_name` of the manifest. */
+export const shortName: string | undefined;
+/** The `theme_color` of the manifest. */
+export const themeColor: string | undefined;
+/** The `background_color` of the manifest. */
+export const backgroundColor: string | undefined;
+/** The `display` mode of the manifest. */
+export const display: WebAppManifest['display'];
+/** The `start_url` of the manifest. */
+export const startUrl: string | undefined;
+/** The `scope` of the manifest. */
+export const scope: string | undefined;
+/** The `lang` of the manifest. */
+export const lang: string | undefined;
@@ -0,0 +1,21 @@
+/*
+  webpack-web-app-manifest-plugin replaces the placeholder below with the JSON of the manifests it
+  emitted, URI encoded, so this module only works in bundles built with the plugin.
+*/
+const data = JSON.parse(decodeURIComponent('__WEBPACK_WEB_APP_MANIFEST_RUNTIME__'));
+const publicPath = data.publicPath === null ? __webpack_public_path__ : data.publicPath;
+
+export const manifestUrls = {};
+Object.keys(data.manifests).forEach(function (chunkName) {
+  manifestUrls[chunkName] = publicPath + data.manifests[chunkName];
+});
+
+export const manifestUrl = manifestUrls[data.chunkName];
+export const name = data.content.name;
+export const shortName = data.content.short_name;
+export const themeColor = data.content.theme_color;
+export const backgroundColor = data.content.background_color;
+export const display = data.content.display;
+export const startUrl = data.content.start_url;
+export const scope = data.content.scope;
+export const lang = data.content.lang;
@@ -0,0 +1,4 @@
+module.exports = {
+  name: 'Tumblr',
+  display 'standalone',
+};
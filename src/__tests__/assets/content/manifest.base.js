@@ -0,0 +1,4 @@
+module.exports = {
+  name: 'Tumblr',
+  background_color: '#36465d',
+};
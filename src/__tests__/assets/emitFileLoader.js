@@ -0,0 +1,12 @@
+const path = require('path');
+
+/**
+ * Emits the file under images/ without any asset info, like loaders written for webpack 4.
+ */
+module.exports = function emitFileLoader(content) {
+  const fileName = `images/${path.basename(this.resourcePath)}`;
+  this.emitFile(fileName, content);
+  return `module.exports = __webpack_public_path__ + ${JSON.stringify(fileName)};`;
+};
+
+module.exports.raw = true;
@@ -0,0 +1 @@
+export * from 'webpack-web-app-manifest-plugin/runtime';
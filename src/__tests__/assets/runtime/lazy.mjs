@@ -0,0 +1 @@
+export const loadRuntime = () => import('./index.mjs');
@@ -0,0 +1,86 @@
+const { auditManifest } = require('../audit');
+
+const installableManifest = {
+  id: '/',
+  name: 'Tumblr',
+  display: 'standalone',
+  start_url: '/',
+  icons: [
+    { src: '/icon_192.png', sizes: '192x192', type: 'image/png' },
+    { src: '/icon_512.png', sizes: '512x512', type: 'image/png' },
+    { src: '/icon_512-maskable.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+  ],
+};
+
+describe('auditManifest', () => {
+  it('finds nothing in an installable manifest', () => {
+    expect(auditManifest(installableManifest)).toEqual([]);
+  });
+
+  it('reports what stops browsers from installing the app as errors', () => {
+    const findings = auditManifest({
+      display: 'browser',
+      icons: [
+        { src: '/icon_192.png', sizes: '192x192', type: 'image/png' },
+        { src: '/icon_512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+      ],
+    });
+
+    expect(findings.filter(({ severity }) => severity === 'error')).toEqual([
+      { severity: 'error', message: expect.stringContaining('no name or short_name') },
+      { severity: 'error', message: expect.stringContaining('at least 512x512 pixels') },
+      { severity: 'error', message: expect.stringContaining('display is "browser"') },
+      { severity: 'error', message: expect.stringContaining('no start_url') },
+    ]);
+  });
+
+  it('reports a missing maskable icon and id as warnings', () => {
+    const { id, icons, ...manifest } = installableManifest;
+
+    expect(auditManifest({ ...manifest, icons: icons.slice(0, 2) })).toEqual([
+      { severity: 'warning', message: expect.stringContaining('no maskable icon') },
+      { severity: 'warning', message: expect.stringContaining('no id') },
+    ]);
+  });
+
+  it('reports a manifest without icons or display', () => {
+    const { icons, display, ...manifest } = installableManifest;
+
+    expect(auditManifest(manifest)).toEqual([
+      { severity: 'error', message: expect.stringContaining('at least 192x192 pixels') },
+      { severity: 'error', message: expect.stringContaining('at least 512x512 pixels') },
+      { severity: 'error', message: expect.stringContaining('display is "browser"') },
+      { severity: 'warning', message: expect.stringContaining('no maskable icon') },
+    ]);
+  });
+
+  it('ignores icons without a square size', () => {
+    const findings = auditManifest({
+      ...installableManifest,
+      icons: [
+        { src: '/banner.png', sizes: '1024x512', type: 'image/png' },
+        { src: '/icon.png', type: 'image/png' },
+        ...installableManifest.icons.slice(2),
+      ],
+    });
+
+    expect(findings).toEqual([
+      { severity: 'error', message: expect.stringContaining('at least 192x192 pixels') },
+      { severity: 'error', message: expect.stringContaining('at least 512x512 pixels') },
+    ]);
+  });
+
+  it('accepts larger and vector icons, and installable display overrides', () => {
+    expect(
+      auditManifest({
+        ...installableManifest,
+        display: 'browser',
+        display_override: ['window-controls-overlay', 'standalone'],
+        icons: [
+          { src: '/icon.svg', sizes: 'any', type: 'image/svg+xml' },
+          { src: '/icon_1024.png', sizes: '1024x1024', type: 'image/png', purpose: 'maskable' },
+        ],
+      }),
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+const { findIconColors, parseHexColor, toHexColor } = require('../color');
+
+/**
+ * Creates an image from rows of pixels, each an RGBA array.
+ */
+function image(rows) {
+  return { width: rows[0].length, height: rows.length, data: Uint8Array.from(rows.flat(2)) };
+}
+
+describe('parseHexColor', () => {
+  it.each([
+    ['#36465d', [54, 70, 93]],
+    ['#fff', [255, 255, 255]],
+    ['#36465dcc', [54, 70, 93]],
+  ])('parses %s', (value, rgb) => {
+    expect(parseHexColor(value)).toEqual(rgb);
+  });
+
+  it('returns null for other colors', () => {
+    expect(parseHexColor('rebeccapurple')).toBeNull();
+  });
+});
+
+describe('toHexColor', () => {
+  it('formats each channel with two digits', () => {
+    expect(toHexColor([54, 70, 93])).toBe('#36465d');
+    expect(toHexColor([0, 10, 255])).toBe('#000aff');
+  });
+});
+
+describe('findIconColors', () => {
+  const blue = [54, 70, 93, 255];
+  const white = [255, 255, 255, 255];
+  const red = [255, 0, 0, 255];
+  const transparent = [0, 0, 0, 0];
+
+  it('picks the edge color as the background and the dominant color as the theme', () => {
+    const icon = image([
+      [blue, blue, blue, blue],
+      [blue, white, white, blue],
+      [blue, white, red, blue],
+      [blue, blue, blue, blue],
+    ]);
+
+    expect(findIconColors(icon)).toEqual({ themeColor: '#ffffff', backgroundColor: '#36465d' });
+  });
+
+  it('uses the dominant color for both when the edges are transparent', () => {
+    const icon = image([
+      [transparent, transparent, transparent],
+      [transparent, red, transparent],
+      [transparent, transparent, transparent],
+    ]);
+
+    expect(findIconColors(icon)).toEqual({ themeColor: '#ff0000', backgroundColor: '#ff0000' });
+  });
+
+  it('returns null for a transparent icon', () => {
+    expect(findIconColors(image([[transparent, transparent]]))).toBeNull();
+  });
+});
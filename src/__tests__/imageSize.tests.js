@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { readImageSize } = require('../imageSize');
+
+describe('readImageSize', () => {
+  it('reads PNG dimensions', () => {
+    const png = fs.readFileSync(path.join(__dirname, 'assets', 'manifest', 'icon_512.png'));
+    expect(readImageSize(png)).toEqual({ width: 512, height: 512 });
+  });
+
+  it('reads GIF dimensions', () => {
+    const gif = Buffer.alloc(13);
+    gif.write('GIF89a', 0, 'latin1');
+    gif.writeUInt16LE(320, 6);
+    gif.writeUInt16LE(200, 8);
+    expect(readImageSize(gif)).toEqual({ width: 320, height: 200 });
+  });
+
+  it('reads JPEG dimensions after skipping other segments', () => {
+    const jpeg = Buffer.from([
+      // SOI
+      0xff, 0xd8,
+      // APP0 with a 4 byte payload
+      0xff, 0xe0, 0x00, 0x06, 0x4a, 0x46, 0x49, 0x46,
+      // SOF2 (progressive) with a height of 90 and a width of 120
+      0xff, 0xc2, 0x00, 0x11, 0x08, 0x00, 0x5a, 0x00, 0x78, 0x03,
+    ]);
+    expect(readImageSize(jpeg)).toEqual({ width: 120, height: 90 });
+  });
+
+  it('returns null for a JPEG without a frame', () => {
+    expect(readImageSize(Buffer.from([0xff, 0xd8, 0xff, 0xd9, 0, 0, 0, 0, 0, 0, 0]))).toBeNull();
+  });
+
+  it('skips fill bytes before JPEG markers', () => {
+    const jpeg = Buffer.from([
+      // SOI
+      0xff, 0xd8,
+      // Fill bytes, then SOF0 with a height of 16 and a width of 32
+      0xff, 0xff, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x10, 0x00, 0x20, 0x03,
+    ]);
+    expect(readImageSize(jpeg)).toEqual({ width: 32, height: 16 });
+  });
+
+  it('returns null for a JPEG with a corrupt marker', () => {
+    expect(readImageSize(Buffer.from([0xff, 0xd8, 0x00, 0xc0, 0, 0, 0, 0, 0, 0, 0]))).toBeNull();
+  });
+
+  function webp(chunk, payload) {
+    const buffer = Buffer.alloc(30);
+    buffer.write('RIFF', 0, 'latin1');
+    buffer.write('WEBP', 8, 'latin1');
+    buffer.write(chunk, 12, 'latin1');
+    payload(buffer);
+    return buffer;
+  }
+
+  it('reads lossy WebP dimensions', () => {
+    const buffer = webp('VP8 ', (b) => {
+      b.writeUInt16LE(640, 26);
+      b.writeUInt16LE(480, 28);
+    });
+    expect(readImageSize(buffer)).toEqual({ width: 640, height: 480 });
+  });
+
+  it('reads lossless WebP dimensions', () => {
+    const buffer = webp('VP8L', (b) => {
+      b.writeUInt32LE((1280 - 1) | ((720 - 1) << 14), 21);
+    });
+    expect(readImageSize(buffer)).toEqual({ width: 1280, height: 720 });
+  });
+
+  it('reads extended WebP dimensions', () => {
+    const buffer = webp('VP8X', (b) => {
+      b.writeUIntLE(4096 - 1, 24, 3);
+      b.writeUIntLE(100 - 1, 27, 3);
+    });
+    expect(readImageSize(buffer)).toEqual({ width: 4096, height: 100 });
+  });
+
+  it('returns null for a WebP image with an unknown first chunk', () => {
+    expect(readImageSize(webp('ALPH', () => {}))).toBeNull();
+  });
+
+  it('reads AVIF dimensions from the first image spatial extents property', () => {
+    const avif = Buffer.alloc(64);
+    avif.write('ftypavif', 4, 'latin1');
+    avif.write('ispe', 32, 'latin1');
+    avif.writeUInt32BE(1024, 40);
+    avif.writeUInt32BE(768, 44);
+    avif.write('ispe', 48, 'latin1');
+    expect(readImageSize(avif)).toEqual({ width: 1024, height: 768 });
+  });
+
+  it('returns null for an AVIF image sequence without image spatial extents', () => {
+    const avif = Buffer.alloc(64);
+    avif.write('ftypavis', 4, 'latin1');
+    expect(readImageSize(avif)).toBeNull();
+  });
+
+  it('reads the dimensions of the largest image in an ICO file', () => {
+    const ico = Buffer.alloc(6 + 3 * 16);
+    ico.writeUInt16LE(1, 2);
+    ico.writeUInt16LE(3, 4);
+    [16, 0, 48].forEach((size, index) => {
+      ico[6 + index * 16] = size;
+      ico[6 + index * 16 + 1] = size;
+    });
+    expect(readImageSize(ico)).toEqual({ width: 256, height: 256 });
+  });
+
+  it('returns null for an ICO file without images', () => {
+    const ico = Buffer.alloc(6);
+    ico.writeUInt16LE(1, 2);
+    expect(readImageSize(ico)).toBeNull();
+  });
+
+  it('returns null for unrecognized formats', () => {
+    expect(readImageSize(Buffer.from('definitely not an image, not even close'))).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+const { createBrowserconfig, encodeIco } = require('../legacyIcons');
+
+describe('encodeIco', () => {
+  it('writes a directory entry for each PNG image', () => {
+    const small = Buffer.from('small');
+    const large = Buffer.from('a larger image');
+    const ico = encodeIco([
+      { size: 16, png: small },
+      { size: 256, png: large },
+    ]);
+
+    expect(ico.readUInt16LE(2)).toBe(1);
+    expect(ico.readUInt16LE(4)).toBe(2);
+
+    // The second entry describes a 256 pixel image with a width and height of 0.
+    expect([ico[6], ico[7], ico[22], ico[23]]).toEqual([16, 16, 0, 0]);
+    expect(ico.readUInt16LE(6 + 6)).toBe(32);
+
+    const smallOffset = ico.readUInt32LE(6 + 12);
+    const largeOffset = ico.readUInt32LE(22 + 12);
+    expect(smallOffset).toBe(6 + 2 * 16);
+    expect(ico.subarray(smallOffset, smallOffset + ico.readUInt32LE(6 + 8))).toEqual(small);
+    expect(ico.subarray(largeOffset, largeOffset + ico.readUInt32LE(22 + 8))).toEqual(large);
+    expect(ico.length).toBe(largeOffset + large.length);
+  });
+});
+
+describe('createBrowserconfig', () => {
+  it('lists the tiles and escapes their URLs', () => {
+    expect(
+      createBrowserconfig(
+        [
+          { name: 'square70x70logo', src: '/tile.png?a=1&b=2' },
+          { name: 'square150x150logo', src: '/tile-150.png' },
+        ],
+        '#36465d',
+      ),
+    ).toBe(
+      [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<browserconfig>',
+        '  <msapplication>',
+        '    <tile>',
+        '      <square70x70logo src="/tile.png?a=1&amp;b=2"/>',
+        '      <square150x150logo src="/tile-150.png"/>',
+        '      <TileColor>#36465d</TileColor>',
+        '    </tile>',
+        '  </msapplication>',
+        '</browserconfig>',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('leaves the tile color out when there is none', () => {
+    expect(
+      createBrowserconfig([{ name: 'square150x150logo', src: '/tile-150.png' }], undefined),
+    ).not.toContain('TileColor');
+  });
+});
@@ -0,0 +1,14 @@
+const { getImageMimeType } = require('../mimeTypes');
+
+describe('getImageMimeType', () => {
+  it('maps extensions to MIME types that differ from them', () => {
+    expect(getImageMimeType('manifest/icon_192-a1b2c3d4.jpg')).toBe('image/jpeg');
+    expect(getImageMimeType('manifest/icon_any-a1b2c3d4.svg')).toBe('image/svg+xml');
+    expect(getImageMimeType('favicon.ICO')).toBe('image/x-icon');
+  });
+
+  it('returns undefined for files that are not images', () => {
+    expect(getImageMimeType('manifest/manifest.json')).toBeUndefined();
+    expect(getImageMimeType('constructor')).toBeUndefined();
+  });
+});
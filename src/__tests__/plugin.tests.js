@@ -2,9 +2,12 @@ const WebAppManifestPlugin = require('..').default;
 const { webpack } = require('webpack');
 const path = require('path');
 const fs = require('fs/promises');
+const crypto = require('crypto');
 const rimraf = require('rimraf').sync;
 const glob = require('glob').sync;
 const { execSync } = require('child_process');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const { decodePng } = require('../png');
 
 const distPath = path.join(__dirname, '..', '..', '.test-output');
 
@@ -402,6 +405,2027 @@ describe('Using asset modules', () => {
   });
 });
 
+const assetRules = [
+  {
+    test: /\.(png|jpe?g|gif|webp|avif|svg|ico)$/,
+    type: 'asset/resource',
+    generator: {
+      filename: 'manifest/[name]-[contenthash:8][ext][query]',
+    },
+  },
+];
+
+/**
+ * Runs a compilation that loads `entries` as asset modules, unless other `rules` are given, without
+ * failing on compilation errors so that tests can make assertions about them.
+ */
+async function compile(
+  plugin,
+  { entries, publicPath = '/', mode = 'production', plugins = [], output = {}, rules = assetRules },
+) {
+  return new Promise((resolve, reject) => {
+    webpack(
+      {
+        mode,
+        entry: { main: entries },
+        output: {
+          publicPath,
+          path: distPath,
+          clean: true,
+          ...output,
+        },
+        module: { rules },
+
+        plugins: [plugin, ...plugins],
+      },
+      async (err, stats) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        // Nothing is emitted when there are errors.
+        const manifest = stats.hasErrors() ? undefined : await readManifest(stats, 'app-manifest');
+        resolve([manifest, stats]);
+      },
+    );
+  });
+}
+
+/**
+ * Reads the manifest in the chunk named `chunkName`, if it was emitted.
+ */
+async function readManifest(stats, chunkName) {
+  const [manifestFile] = stats.toJson().assetsByChunkName[chunkName] || [];
+  return manifestFile && JSON.parse(await fs.readFile(path.join(distPath, manifestFile), 'utf-8'));
+}
+
+describe('Reading icon dimensions', () => {
+  it('reads icon sizes from the image instead of the file name', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'mismatched', 'manifest', 'icon_256.png')],
+    });
+
+    expect(manifest.icons).toEqual([expect.objectContaining({ sizes: '192x192' })]);
+    expect(stats.compilation.warnings.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/describes a 256x256 image, but the image is 192x192/),
+    ]);
+  });
+
+  it('does not warn when the file name matches the image', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'manifest', 'icon_512.png')],
+    });
+
+    expect(stats.compilation.warnings).toEqual([]);
+  });
+
+  it('reports icons whose size cannot be determined as errors of the file', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      isAssetManifestIcon: (fileName) => fileName === 'main.js' || fileName.includes('icon_512'),
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'manifest', 'icon_512.png')],
+    });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining('Unable to determine the icon dimensions of "main.js"'),
+    ]);
+    expect(stats.compilation.errors[0].file).toBe('main.js');
+    const manifestFile = stats.toJson().assetsByChunkName['app-manifest'][0];
+    const manifest = JSON.parse(stats.compilation.getAsset(manifestFile).source.source());
+    expect(manifest.icons).toEqual([expect.objectContaining({ sizes: '512x512' })]);
+  });
+
+  it('reports icons whose type cannot be determined as errors of the file', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      isAssetManifestIcon: (fileName) => fileName === 'main.js',
+      getIconSize: () => ({ width: 192, height: 192 }),
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')],
+    });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining('Unknown icon extension in filename "main.js"'),
+    ]);
+    expect(stats.compilation.errors[0].file).toBe('main.js');
+  });
+});
+
+describe('Icon formats', () => {
+  it('lists JPEG and SVG icons with their MIME types and an any size for vectors', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries: [
+        path.join(__dirname, 'assets', 'manifest', 'icon_any.svg'),
+        path.join(__dirname, 'assets', 'manifest', 'icon_64.jpg'),
+        path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+      ],
+    });
+
+    expect(manifest.icons).toEqual([
+      { type: 'image/jpeg', sizes: '64x64', src: expect.stringMatching(/\/icon_64-\w+\.jpg$/) },
+      { type: 'image/png', sizes: '192x192', src: expect.stringMatching(/\/icon_192-\w+\.png$/) },
+      { type: 'image/svg+xml', sizes: 'any', src: expect.stringMatching(/\/icon_any-\w+\.svg$/) },
+    ]);
+    expect(stats.compilation.warnings).toEqual([]);
+  });
+});
+
+describe('Generating icons from a source image', () => {
+  it('resizes the source image into each of the sizes', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      source: path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+      sizes: [48, 96],
+    });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'manifest', 'definitely_not_a_manifest_icon.png')],
+    });
+
+    expect(manifest.icons).toEqual([
+      { type: 'image/png', sizes: '48x48', src: expect.stringMatching(/^\/manifest\/icon_48-/) },
+      { type: 'image/png', sizes: '96x96', src: expect.stringMatching(/^\/manifest\/icon_96-/) },
+    ]);
+
+    const { chunks } = stats.toJson({ chunks: true });
+    const manifestChunk = chunks.find((chunk) => chunk.names.includes('app-manifest'));
+    expect(manifestChunk.auxiliaryFiles).toHaveLength(2);
+
+    for (const icon of manifest.icons) {
+      const png = await fs.readFile(path.join(distPath, icon.src));
+      expect(`${png.readUInt32BE(16)}x${png.readUInt32BE(20)}`).toEqual(icon.sizes);
+    }
+  });
+
+  it('reports an error when the source image cannot be decoded', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      source: __filename,
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'manifest', 'definitely_not_a_manifest_icon.png')],
+    });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/Unable to generate icons from .*plugin\.tests\.js: Not a PNG image/),
+    ]);
+  });
+
+  it('reports an error when the source image does not exist, and watches for it', async () => {
+    const source = path.join(__dirname, 'assets', 'manifest', 'missing.png');
+    const plugin = new WebAppManifestPlugin({ content: {}, destination: '/manifest', source });
+
+    const [, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'manifest', 'definitely_not_a_manifest_icon.png')],
+    });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/Unable to generate icons from .*missing\.png: ENOENT/),
+    ]);
+    expect(stats.compilation.fileDependencies.has(source)).toBe(true);
+  });
+});
+
+describe('Icon purposes', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'purpose', 'manifest', 'icon_512-maskable.png'),
+    path.join(__dirname, 'assets', 'purpose', 'manifest', 'icon_192-maskable-monochrome.png'),
+  ];
+
+  it('reads purposes from the file name descriptor', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+    const [manifest] = await compile(plugin, { entries });
+
+    expect(manifest.icons).toEqual(
+      expect.arrayContaining([
+        {
+          type: 'image/png',
+          sizes: '192x192',
+          src: expect.stringMatching(/\/icon_192-[0-9a-f]{8}\.png$/),
+        },
+        {
+          type: 'image/png',
+          sizes: '512x512',
+          src: expect.stringMatching(/\/icon_512-maskable-[0-9a-f]{8}\.png$/),
+          purpose: 'maskable',
+        },
+        {
+          type: 'image/png',
+          sizes: '192x192',
+          src: expect.stringMatching(/\/icon_192-maskable-monochrome-[0-9a-f]{8}\.png$/),
+          purpose: 'maskable monochrome',
+        },
+      ]),
+    );
+    expect(manifest.icons).toHaveLength(3);
+  });
+
+  it('uses a custom getIconPurpose function', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      getIconPurpose: () => 'any maskable',
+    });
+
+    const [manifest] = await compile(plugin, { entries });
+
+    // The two 192x192 icons now have the same purpose, so one of them is left out.
+    expect(manifest.icons.map(({ purpose }) => purpose)).toEqual(['any maskable', 'any maskable']);
+  });
+});
+
+describe('Icon order', () => {
+  const plugin = () =>
+    new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+  it('sorts icons by purpose, then area, then type', async () => {
+    const entries = [
+      path.join(__dirname, 'assets', 'purpose', 'manifest', 'icon_512-maskable.png'),
+      path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+      path.join(__dirname, 'assets', 'purpose', 'manifest', 'icon_192-maskable-monochrome.png'),
+      path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    ];
+
+    const [manifest] = await compile(plugin(), { entries });
+    const [reversedManifest] = await compile(plugin(), { entries: [...entries].reverse() });
+
+    expect(manifest.icons.map(({ sizes, purpose }) => `${sizes} ${purpose}`)).toEqual([
+      '192x192 undefined',
+      '512x512 undefined',
+      '512x512 maskable',
+      '192x192 maskable monochrome',
+    ]);
+    expect(reversedManifest).toEqual(manifest);
+  });
+
+  it('sorts screenshots by file name', async () => {
+    // Emits screenshots in the given order, since webpack emits the assets of modules in a fixed one.
+    const emitScreenshots = (fileNames) => ({
+      apply(compiler) {
+        const { Compilation, sources } = compiler.webpack;
+        compiler.hooks.thisCompilation.tap('EmitScreenshots', (compilation) => {
+          compilation.hooks.processAssets.tapPromise(
+            { name: 'EmitScreenshots', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+            async () => {
+              for (const fileName of fileNames) {
+                const source = await fs.readFile(
+                  path.join(__dirname, 'assets', 'screenshots', 'manifest', fileName),
+                );
+                compilation.emitAsset(`manifest/${fileName}`, new sources.RawSource(source));
+              }
+            },
+          );
+        });
+      },
+    });
+    const fileNames = ['screenshot_64x36-wide.png', 'screenshot_36x64-narrow.png'];
+    const entries = [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')];
+
+    const [manifest] = await compile(plugin(), {
+      entries,
+      plugins: [emitScreenshots(fileNames)],
+    });
+    const [reversedManifest] = await compile(plugin(), {
+      entries,
+      plugins: [emitScreenshots([...fileNames].reverse())],
+    });
+
+    expect(manifest.screenshots.map(({ src }) => src)).toEqual([
+      '/manifest/screenshot_36x64-narrow.png',
+      '/manifest/screenshot_64x36-wide.png',
+    ]);
+    expect(reversedManifest).toEqual(manifest);
+  });
+
+  it('leaves out duplicate icons with a warning', async () => {
+    const entries = [
+      path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+      path.join(__dirname, 'assets', 'mismatched', 'manifest', 'icon_256.png'),
+    ];
+
+    const [manifest, stats] = await compile(plugin(), { entries });
+
+    expect(manifest.icons).toEqual([
+      expect.objectContaining({ sizes: '192x192', src: expect.stringContaining('/icon_192-') }),
+    ]);
+    const warnings = stats.compilation.warnings.map(({ message }) => message);
+    expect(warnings).toContainEqual(
+      expect.stringMatching(
+        /manifest\/icon_256-[0-9a-f]{8}\.png was left out of the manifest, because manifest\/icon_192-[0-9a-f]{8}\.png is also a 192x192 image\/png icon\.$/,
+      ),
+    );
+  });
+});
+
+describe('Maskable icon safe zone', () => {
+  const plugin = () =>
+    new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+  it('does not warn about maskable icons with their content in the safe zone', async () => {
+    const [, stats] = await compile(plugin(), {
+      entries: [path.join(__dirname, 'assets', 'maskable', 'manifest', 'icon_512-maskable.png')],
+    });
+
+    expect(stats.compilation.warnings).toEqual([]);
+  });
+
+  it('warns about content and transparent pixels outside the safe zone', async () => {
+    const [, stats] = await compile(plugin(), {
+      entries: [path.join(__dirname, 'assets', 'purpose', 'manifest', 'icon_512-maskable.png')],
+    });
+
+    expect(stats.compilation.warnings.map(({ message }) => message)).toEqual([
+      expect.stringMatching(
+        /icon_512-maskable-\w+\.png is a maskable icon, but \d+\.\d% of its content is outside the safe zone/,
+      ),
+      expect.stringMatching(/\d+\.\d% of the pixels outside the safe zone are transparent/),
+    ]);
+    expect(stats.compilation.warnings[0].file).toMatch(/^manifest\/icon_512-maskable-/);
+  });
+
+  it('warns about maskable icons that cannot be decoded', async () => {
+    const [, stats] = await compile(plugin(), {
+      entries: [path.join(__dirname, 'assets', 'corrupt', 'manifest', 'icon_512-maskable.png')],
+    });
+
+    expect(stats.compilation.warnings.map(({ message }) => message)).toEqual([
+      expect.stringMatching(
+        /Unable to check the safe zone of manifest\/icon_512-maskable-\w+\.png: incorrect header check/,
+      ),
+    ]);
+    expect(stats.compilation.warnings[0].file).toMatch(/^manifest\/icon_512-maskable-/);
+  });
+});
+
+describe('Automatic colors', () => {
+  // A white disc on a #36465d background.
+  const entries = [path.join(__dirname, 'assets', 'colors', 'manifest', 'icon_512.png')];
+
+  it('picks the theme and background colors from the largest icon', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      autoColors: true,
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    expect(manifest).toMatchObject({ theme_color: '#ffffff', background_color: '#36465d' });
+    const manifestAsset = stats
+      .toJson({ assets: true })
+      .assets.find(({ info }) => info.webAppManifest);
+    expect(manifestAsset.info.webAppManifest.autoColors).toEqual({
+      theme_color: '#ffffff',
+      background_color: '#36465d',
+    });
+  });
+
+  it('keeps the colors set in the content', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { theme_color: 'rebeccapurple' },
+      destination: '/manifest',
+      autoColors: true,
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    expect(manifest).toMatchObject({ theme_color: 'rebeccapurple', background_color: '#36465d' });
+    const [manifestFile] = stats.toJson().assetsByChunkName['app-manifest'];
+    expect(stats.compilation.getAsset(manifestFile).info.webAppManifest.autoColors).toEqual({
+      background_color: '#36465d',
+    });
+  });
+
+  it('reports a warning without a PNG icon', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      autoColors: true,
+    });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'manifest', 'icon_any.svg')],
+    });
+
+    expect(manifest.theme_color).toBeUndefined();
+    expect(stats.compilation.warnings.map(({ message }) => message)).toEqual([
+      expect.stringContaining('autoColors requires a PNG icon'),
+    ]);
+  });
+
+  it('reports an error when the icon cannot be decoded', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      autoColors: true,
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'corrupt', 'manifest', 'icon_512.png')],
+    });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(
+        /Unable to pick colors from manifest\/icon_512-\w+\.png: incorrect header check/,
+      ),
+    ]);
+  });
+});
+
+describe('Validating the manifest', () => {
+  const entries = [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')];
+  const content = { name: 'Tumblr', display: 'standalon', theme_color: '#36465' };
+
+  it('reports problems as warnings by default', async () => {
+    const plugin = new WebAppManifestPlugin({ content, destination: '/manifest' });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    expect(manifest.display).toEqual('standalon');
+    expect(stats.compilation.errors).toEqual([]);
+    expect(stats.compilation.warnings.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/display must be one of/),
+      expect.stringMatching(/theme_color must be a CSS color/),
+    ]);
+  });
+
+  it('reports problems as errors in strict mode', async () => {
+    const plugin = new WebAppManifestPlugin({ content, destination: '/manifest', strict: true });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.warnings).toEqual([]);
+    expect(stats.compilation.errors).toHaveLength(2);
+    expect(stats.compilation.errors[0].file).toMatch(/^manifest\/manifest-[0-9a-f]{8}\.json$/);
+  });
+});
+
+describe('Auditing installability', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+    path.join(__dirname, 'assets', 'maskable', 'manifest', 'icon_512-maskable.png'),
+  ];
+  const content = { id: '/', name: 'Tumblr', display: 'standalone', start_url: '/' };
+
+  it('does not audit the manifest by default', async () => {
+    const plugin = new WebAppManifestPlugin({ content: {}, destination: '/manifest' });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.warnings).toEqual([]);
+  });
+
+  it('reports nothing for an installable manifest', async () => {
+    const plugin = new WebAppManifestPlugin({ content, destination: '/manifest', audit: true });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.warnings).toEqual([]);
+    expect(stats.compilation.errors).toEqual([]);
+  });
+
+  it('reports findings as warnings', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { ...content, display: 'browser' },
+      destination: '/manifest',
+      audit: true,
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries: entries.slice(0, 1) });
+
+    expect(manifest).toBeTruthy();
+    expect(stats.compilation.warnings.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/no icon of at least 512x512 pixels/),
+      expect.stringMatching(/display is "browser"/),
+      expect.stringMatching(/no maskable icon/),
+    ]);
+  });
+
+  it('reports findings that stop installation as errors with failOnAuditErrors', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { name: 'Tumblr', display: 'standalone', start_url: '/' },
+      destination: '/manifest',
+      failOnAuditErrors: true,
+    });
+
+    const [, stats] = await compile(plugin, { entries: entries.slice(0, 1) });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/no icon of at least 512x512 pixels/),
+    ]);
+    expect(stats.compilation.errors[0].file).toMatch(/^manifest\/manifest-[0-9a-f]{8}\.json$/);
+    expect(stats.compilation.warnings.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/no maskable icon/),
+      expect.stringMatching(/no id/),
+    ]);
+  });
+});
+
+describe('Localized manifests', () => {
+  it('emits a manifest for each locale', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {
+        name: 'Tumblr',
+        short_name: 'Tumblr',
+        display: 'standalone',
+        locales: {
+          fr: { description: 'Découvrez et suivez vos passions' },
+          ar: { name: 'تمبلر', lang: 'ar-EG', dir: 'rtl' },
+        },
+      },
+      destination: '/manifest',
+    });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')],
+    });
+
+    const { assetsByChunkName } = stats.toJson();
+    expect(assetsByChunkName['app-manifest-fr']).toEqual([
+      expect.stringMatching(/^manifest\/manifest-fr-[0-9a-f]{8}\.json$/),
+    ]);
+    expect(assetsByChunkName['app-manifest-ar']).toEqual([
+      expect.stringMatching(/^manifest\/manifest-ar-[0-9a-f]{8}\.json$/),
+    ]);
+
+    expect(manifest).not.toHaveProperty('locales');
+    expect(manifest).not.toHaveProperty('lang');
+
+    const french = await readManifest(stats, 'app-manifest-fr');
+    expect(french).toEqual({
+      ...manifest,
+      lang: 'fr',
+      description: 'Découvrez et suivez vos passions',
+    });
+
+    const arabic = await readManifest(stats, 'app-manifest-ar');
+    expect(arabic).toEqual({ ...manifest, name: 'تمبلر', lang: 'ar-EG', dir: 'rtl' });
+    expect(arabic.icons).toHaveLength(1);
+
+    expect(stats.compilation.warnings).toEqual([]);
+  });
+});
+
+describe('Injecting tags with html-webpack-plugin', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'purpose', 'manifest', 'icon_512-maskable.png'),
+  ];
+
+  it('adds the manifest, theme color and apple touch icons to the head', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { name: 'Tumblr', theme_color: '#36465d' },
+      destination: '/manifest',
+      htmlWebpackPlugin: true,
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries,
+      plugins: [new HtmlWebpackPlugin({ inject: 'head', scriptLoading: 'blocking' })],
+    });
+
+    const [manifestFile] = stats.toJson().assetsByChunkName['app-manifest'];
+    const html = await fs.readFile(path.join(distPath, 'index.html'), 'utf-8');
+    expect(html).toContain(`<link rel="manifest" href="/${manifestFile}">`);
+    expect(html).toContain('<meta name="theme-color" content="#36465d">');
+    expect(html).toMatch(
+      /<link rel="apple-touch-icon" sizes="192x192" href="\/manifest\/icon_192-[0-9a-f]{8}\.png">/,
+    );
+    expect(html).not.toContain('maskable');
+  });
+
+  it('reports an error when html-webpack-plugin is missing', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      htmlWebpackPlugin: true,
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/requires html-webpack-plugin/),
+    ]);
+  });
+
+  it('leaves the page alone when the manifest could not be built', async () => {
+    const plugin = new WebAppManifestPlugin({
+      contentFile: path.join(__dirname, 'assets', 'content', 'missing.json'),
+      destination: '/manifest',
+      htmlWebpackPlugin: true,
+    });
+
+    const [, stats] = await compile(plugin, { entries, plugins: [new HtmlWebpackPlugin()] });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining('Unable to read contentFile'),
+    ]);
+    // Nothing is emitted when there are errors, so the page is read from the compilation.
+    const html = stats.compilation.getAsset('index.html').source.source().toString();
+    expect(html).toContain('<script');
+    expect(html).not.toContain('rel="manifest"');
+  });
+});
+
+describe('Screenshots', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'screenshots', 'manifest', 'screenshot_64x36-wide.png'),
+    path.join(__dirname, 'assets', 'screenshots', 'manifest', 'screenshot_36x64-narrow.png'),
+  ];
+
+  it('collects screenshots using the default screenshot functions', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    expect(manifest.icons).toHaveLength(1);
+    expect(manifest.screenshots).toEqual(
+      expect.arrayContaining([
+        {
+          src: expect.stringMatching(/^\/manifest\/screenshot_64x36-wide-[0-9a-f]{8}\.png$/),
+          sizes: '64x36',
+          type: 'image/png',
+          form_factor: 'wide',
+        },
+        {
+          src: expect.stringMatching(/^\/manifest\/screenshot_36x64-narrow-[0-9a-f]{8}\.png$/),
+          sizes: '36x64',
+          type: 'image/png',
+          form_factor: 'narrow',
+        },
+      ]),
+    );
+    expect(manifest.screenshots).toHaveLength(2);
+    expect(stats.compilation.warnings).toEqual([]);
+  });
+
+  it('collects screenshots using custom functions', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { screenshots: [{ src: '/static/home.png', sizes: '1280x720' }] },
+      destination: '/manifest',
+      isAssetManifestScreenshot: (fileName) => fileName.includes('wide'),
+      getScreenshotSize: () => ({ width: 1280, height: 720 }),
+      getScreenshotType: () => 'image/webp',
+      getScreenshotFormFactor: () => undefined,
+      getScreenshotLabel: () => 'The dashboard',
+    });
+
+    const [manifest] = await compile(plugin, { entries });
+
+    expect(manifest.screenshots).toEqual([
+      { src: '/static/home.png', sizes: '1280x720' },
+      {
+        src: expect.stringMatching(/screenshot_64x36-wide/),
+        sizes: '1280x720',
+        type: 'image/webp',
+        label: 'The dashboard',
+      },
+    ]);
+  });
+
+  it('leaves screenshots out when there are none', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+    const [manifest] = await compile(plugin, { entries: entries.slice(0, 1) });
+
+    expect(manifest).not.toHaveProperty('screenshots');
+  });
+
+  it('reports screenshots whose size or type cannot be determined as errors of the file', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      isAssetManifestScreenshot: (fileName) => fileName === 'main.js' || fileName.includes('wide'),
+    });
+    const typePlugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      isAssetManifestScreenshot: (fileName) => fileName === 'main.js',
+      getScreenshotSize: () => ({ width: 1280, height: 720 }),
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+    const [, typeStats] = await compile(typePlugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining('Unable to determine the screenshot dimensions of "main.js"'),
+    ]);
+    expect(stats.compilation.errors[0].file).toBe('main.js');
+    expect(typeStats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining('Unknown screenshot extension in filename "main.js"'),
+    ]);
+    const manifestFile = stats.toJson().assetsByChunkName['app-manifest'][0];
+    const manifest = JSON.parse(stats.compilation.getAsset(manifestFile).source.source());
+    expect(manifest.screenshots).toEqual([expect.objectContaining({ sizes: '64x36' })]);
+  });
+});
+
+describe('Resolving assets in shortcuts and file handlers', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'manifest', 'this_is_a_manifest_icon.png'),
+  ];
+
+  it('replaces asset references with the hashed asset URL, size and type', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {
+        shortcuts: [
+          {
+            name: 'New post',
+            url: '/new',
+            icons: [
+              { asset: 'manifest/this_is_a_manifest_icon.png', purpose: 'any' },
+              { src: '/static/new.svg', sizes: 'any', type: 'image/svg+xml' },
+            ],
+          },
+        ],
+        file_handlers: [
+          {
+            action: '/open',
+            accept: { 'image/png': ['.png'] },
+            icons: [{ asset: (fileName) => fileName.includes('icon_192'), sizes: '96x96' }],
+          },
+        ],
+        locales: {
+          fr: {
+            shortcuts: [
+              {
+                name: 'Nouveau billet',
+                url: '/new',
+                icons: [{ asset: 'manifest/this_is_a_manifest_icon.png' }],
+              },
+            ],
+          },
+        },
+      },
+      destination: '/manifest',
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries, publicPath: '/assets/' });
+
+    expect(manifest.shortcuts).toEqual([
+      {
+        name: 'New post',
+        url: '/new',
+        icons: [
+          {
+            src: expect.stringMatching(
+              /^\/assets\/manifest\/this_is_a_manifest_icon-[0-9a-f]{8}\.png$/,
+            ),
+            sizes: '192x192',
+            type: 'image/png',
+            purpose: 'any',
+          },
+          { src: '/static/new.svg', sizes: 'any', type: 'image/svg+xml' },
+        ],
+      },
+    ]);
+    expect(manifest.file_handlers).toEqual([
+      {
+        action: '/open',
+        accept: { 'image/png': ['.png'] },
+        icons: [
+          {
+            src: expect.stringMatching(/^\/assets\/manifest\/icon_192-[0-9a-f]{8}\.png$/),
+            sizes: '96x96',
+            type: 'image/png',
+          },
+        ],
+      },
+    ]);
+
+    const french = await readManifest(stats, 'app-manifest-fr');
+    expect(french.shortcuts[0].icons[0].src).toEqual(manifest.shortcuts[0].icons[0].src);
+  });
+
+  it('matches assets emitted by loaders that leave out their source file name', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {
+        shortcuts: [
+          {
+            name: 'New post',
+            url: '/new',
+            icons: [{ asset: 'manifest/this_is_a_manifest_icon.png' }],
+          },
+        ],
+      },
+      destination: '/manifest',
+    });
+
+    const [manifest] = await compile(plugin, {
+      entries,
+      rules: [{ test: /\.png$/, loader: path.join(__dirname, 'assets', 'emitFileLoader.js') }],
+    });
+
+    expect(manifest.shortcuts[0].icons).toEqual([
+      { src: '/images/this_is_a_manifest_icon.png', sizes: '192x192', type: 'image/png' },
+    ]);
+  });
+
+  it('reports an error when no asset matches', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {
+        shortcuts: [{ name: 'New post', url: '/new', icons: [{ asset: 'missing.png' }] }],
+      },
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/No asset matches the image "missing.png"/),
+    ]);
+  });
+});
+
+describe('Public paths', () => {
+  const entries = [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')];
+
+  it('writes URLs relative to the manifest with an auto public path', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/pwa',
+      htmlWebpackPlugin: true,
+    });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries,
+      publicPath: 'auto',
+      plugins: [new HtmlWebpackPlugin({ filename: 'pages/index.html' })],
+    });
+
+    expect(manifest.icons).toEqual([
+      expect.objectContaining({
+        src: expect.stringMatching(/^\.\.\/manifest\/icon_192-[0-9a-f]{8}\.png$/),
+      }),
+    ]);
+
+    const [manifestFile] = stats.toJson().assetsByChunkName['app-manifest'];
+    const html = await fs.readFile(path.join(distPath, 'pages', 'index.html'), 'utf-8');
+    expect(html).toContain(`<link rel="manifest" href="../${manifestFile}">`);
+    expect(html).toMatch(
+      /<link rel="apple-touch-icon" sizes="192x192" href="\.\.\/manifest\/icon_192-/,
+    );
+  });
+
+  it('writes URLs relative to the directory of filename with an auto public path', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/pwa',
+      filename: 'app/[name].[contenthash:8].json',
+      htmlWebpackPlugin: true,
+    });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries,
+      publicPath: 'auto',
+      plugins: [new HtmlWebpackPlugin()],
+    });
+
+    expect(manifest.icons).toEqual([
+      expect.objectContaining({
+        src: expect.stringMatching(/^\.\.\/\.\.\/manifest\/icon_192-[0-9a-f]{8}\.png$/),
+      }),
+    ]);
+
+    const [manifestFile] = stats.toJson().assetsByChunkName['app-manifest'];
+    expect(manifestFile).toMatch(/^pwa\/app\/manifest\.[0-9a-f]{8}\.json$/);
+    const html = await fs.readFile(path.join(distPath, 'index.html'), 'utf-8');
+    expect(html).toContain(`<link rel="manifest" href="${manifestFile}">`);
+    expect(html).toMatch(/<link rel="apple-touch-icon" sizes="192x192" href="manifest\/icon_192-/);
+  });
+
+  it('reports placeholders in the directory of filename with an auto public path', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { locales: { fr: {} } },
+      destination: '/pwa',
+      filename: '[locale]/manifest.json',
+    });
+
+    const [, stats] = await compile(plugin, { entries, publicPath: 'auto' });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining(
+        'The directory of filename "[locale]/manifest.json" cannot contain placeholders',
+      ),
+    ]);
+  });
+
+  it('resolves function public paths', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+    const [manifest] = await compile(plugin, {
+      entries,
+      publicPath: () => 'https://assets.example.com/',
+    });
+
+    expect(manifest.icons).toEqual([
+      expect.objectContaining({
+        src: expect.stringMatching(/^https:\/\/assets\.example\.com\/manifest\/icon_192-/),
+      }),
+    ]);
+  });
+
+  it('resolves templated public paths', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries, publicPath: '/[fullhash]/' });
+
+    expect(manifest.icons[0].src).toMatch(new RegExp(`^/${stats.hash}/manifest/icon_192-`));
+  });
+});
+
+describe('Content functions', () => {
+  const entries = [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')];
+
+  it('calls an async content function with the compilation context', async () => {
+    const content = jest.fn(async ({ compilation, mode, publicPath, icons }) => ({
+      name: mode === 'development' ? 'Tumblr (dev)' : 'Tumblr',
+      id: `/?hash=${compilation.hash}`,
+      start_url: `${publicPath}start`,
+      description: `${icons.length} icon`,
+    }));
+    const plugin = new WebAppManifestPlugin({ content, destination: '/manifest' });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries,
+      mode: 'development',
+      publicPath: '/assets/',
+    });
+
+    expect(content).toHaveBeenCalledTimes(1);
+    expect(manifest).toEqual({
+      name: 'Tumblr (dev)',
+      id: `/?hash=${stats.hash}`,
+      start_url: '/assets/start',
+      description: '1 icon',
+      icons: [expect.objectContaining({ sizes: '192x192' })],
+    });
+  });
+
+  it('accepts a sync content function', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: ({ mode }) => ({ name: mode }),
+      destination: '/manifest',
+    });
+
+    const [manifest] = await compile(plugin, { entries });
+
+    expect(manifest.name).toEqual('production');
+  });
+
+  it('reports errors thrown by the content function', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: async () => {
+        throw new Error('The CMS is down');
+      },
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/The content function failed: The CMS is down/),
+    ]);
+  });
+});
+
+describe('Content files', () => {
+  const entries = [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')];
+  const contentFile = (name) => path.join(__dirname, 'assets', 'content', name);
+
+  it('merges inline content over a JSON content file', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {
+        short_name: 'Tumblr (beta)',
+        locales: { fr: { name: 'Tumblr en français' } },
+      },
+      contentFile: contentFile('manifest.base.json'),
+      destination: '/manifest',
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    expect(manifest).toEqual({
+      name: 'Tumblr',
+      short_name: 'Tumblr (beta)',
+      display: 'standalone',
+      icons: [expect.anything()],
+    });
+    expect(await readManifest(stats, 'app-manifest-fr')).toEqual(
+      expect.objectContaining({
+        name: 'Tumblr en français',
+        description: 'Découvrez et suivez vos passions',
+      }),
+    );
+    expect(stats.compilation.fileDependencies.has(contentFile('manifest.base.json'))).toBe(true);
+  });
+
+  it('reads a JavaScript content file relative to the context', async () => {
+    const plugin = new WebAppManifestPlugin({
+      contentFile: path.relative(process.cwd(), contentFile('manifest.base.js')),
+      destination: '/manifest',
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    expect(manifest).toEqual({
+      name: 'Tumblr',
+      background_color: '#36465d',
+      icons: [expect.anything()],
+    });
+    expect(stats.compilation.fileDependencies.has(contentFile('manifest.base.js'))).toBe(true);
+  });
+
+  it('reports parse errors with the file and line', async () => {
+    const plugin = new WebAppManifestPlugin({
+      contentFile: contentFile('invalid.json'),
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining(`Unable to read contentFile: ${contentFile('invalid.json')}:4:1:`),
+    ]);
+    expect(stats.compilation.fileDependencies.has(contentFile('invalid.json'))).toBe(true);
+  });
+
+  it('reports the line and column of unquoted values', async () => {
+    const plugin = new WebAppManifestPlugin({
+      contentFile: contentFile('unquoted.json'),
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining(`Unable to read contentFile: ${contentFile('unquoted.json')}:3:14:`),
+    ]);
+  });
+
+  it('reports ES modules as unsupported', async () => {
+    const plugin = new WebAppManifestPlugin({
+      contentFile: contentFile('manifest.mjs'),
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining(`${contentFile('manifest.mjs')} is an ES module`),
+    ]);
+  });
+
+  it('reports JavaScript syntax errors with the file and line', async () => {
+    const plugin = new WebAppManifestPlugin({
+      contentFile: contentFile('invalid.js'),
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    // Node puts the line after the file name. Babel, which compiles modules under Jest, adds it last.
+    const file = contentFile('invalid.js').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(
+        new RegExp(`Unable to read contentFile: ${file}(:3: |: .*\\(3:\\d+\\))`),
+      ),
+    ]);
+  });
+
+  it('reports missing files', async () => {
+    const plugin = new WebAppManifestPlugin({
+      contentFile: contentFile('missing.json'),
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/Unable to read contentFile: ENOENT.*missing\.json/),
+    ]);
+    expect(stats.compilation.fileDependencies.has(contentFile('missing.json'))).toBe(true);
+  });
+
+  it('reports content that is not an object', async () => {
+    const plugin = new WebAppManifestPlugin({
+      contentFile: contentFile('array.json'),
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining(
+        `Unable to read contentFile: ${contentFile(
+          'array.json',
+        )} must contain an object of manifest members.`,
+      ),
+    ]);
+  });
+});
+
+describe('Manifest file names', () => {
+  const entries = [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')];
+
+  const getManifestFiles = (stats) => {
+    const { assetsByChunkName } = stats.toJson();
+    return Object.keys(assetsByChunkName)
+      .filter((chunkName) => chunkName.startsWith('app-manifest'))
+      .sort()
+      .map((chunkName) => assetsByChunkName[chunkName][0]);
+  };
+
+  it('keeps the default layout', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { locales: { fr: { name: 'Mon application' } } },
+      destination: '/manifest',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(getManifestFiles(stats)).toEqual([
+      expect.stringMatching(/^manifest\/manifest-[0-9a-f]{8}\.json$/),
+      expect.stringMatching(/^manifest\/manifest-fr-[0-9a-f]{8}\.json$/),
+    ]);
+  });
+
+  it('renders the filename template', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { locales: { fr: { name: 'Mon application' } } },
+      destination: '/manifest',
+      filename: 'app.[locale].[contenthash:12].webmanifest',
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    expect(manifest).toBeDefined();
+    expect(getManifestFiles(stats)).toEqual([
+      expect.stringMatching(/^manifest\/app\.\.[0-9a-f]{12}\.webmanifest$/),
+      expect.stringMatching(/^manifest\/app\.fr\.[0-9a-f]{12}\.webmanifest$/),
+    ]);
+  });
+
+  it('uses the hash options of the output', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      filename: '[name].[contenthash].webmanifest',
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries,
+      output: { hashFunction: 'sha256', hashDigestLength: 16 },
+    });
+
+    const [manifestFile] = getManifestFiles(stats);
+    expect(manifestFile).toMatch(/^manifest\/manifest\.[0-9a-f]{16}\.webmanifest$/);
+
+    const content = await fs.readFile(path.join(distPath, manifestFile));
+    const digest = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+    expect(manifestFile).toBe(`manifest/manifest.${digest}.webmanifest`);
+  });
+
+  it('salts hashes with the hash salt of the output', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      filename: '[name].[contenthash].webmanifest',
+    });
+
+    // optimization.realContentHash, on in production, hashes file names again without the salt.
+    const [, stats] = await compile(plugin, {
+      entries,
+      mode: 'development',
+      output: { hashFunction: 'sha256', hashDigestLength: 16, hashSalt: 'tumblr' },
+    });
+
+    const [manifestFile] = getManifestFiles(stats);
+    const content = await fs.readFile(path.join(distPath, manifestFile));
+    const digest = crypto
+      .createHash('sha256')
+      .update('tumblr')
+      .update(content)
+      .digest('hex')
+      .slice(0, 16);
+    expect(manifestFile).toBe(`manifest/manifest.${digest}.webmanifest`);
+  });
+});
+
+describe('Multiple manifests', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+  ];
+
+  it('adds the manifest to the chunk named chunkName', async () => {
+    const plugins = [
+      new WebAppManifestPlugin({
+        content: { name: 'Creators', locales: { fr: { name: 'Créateurs' } } },
+        destination: '/creators',
+        chunkName: 'creators-manifest',
+      }),
+    ];
+
+    const [manifest, stats] = await compile(
+      new WebAppManifestPlugin({ content: { name: 'Tumblr' }, destination: '/manifest' }),
+      { entries, plugins },
+    );
+
+    expect(manifest.name).toBe('Tumblr');
+    expect(await readManifest(stats, 'creators-manifest')).toMatchObject({ name: 'Creators' });
+    expect(await readManifest(stats, 'creators-manifest-fr')).toMatchObject({ name: 'Créateurs' });
+  });
+
+  it('emits a manifest for each app', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { display: 'standalone' },
+      destination: '/manifest',
+      apps: [
+        {
+          chunkName: 'app-manifest',
+          content: { name: 'Tumblr' },
+          isAssetManifestIcon: (fileName) => fileName.includes('icon_192'),
+        },
+        {
+          chunkName: 'creators-manifest',
+          content: { name: 'Tumblr for creators', start_url: '/creators/' },
+          destination: '/creators',
+          scope: '/creators/',
+          isAssetManifestIcon: (fileName) => fileName.includes('icon_512'),
+        },
+      ],
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    expect(manifest).toEqual({
+      name: 'Tumblr',
+      icons: [expect.objectContaining({ sizes: '192x192' })],
+    });
+    expect(stats.toJson().assetsByChunkName['creators-manifest']).toEqual([
+      expect.stringMatching(/^creators\/manifest-[0-9a-f]{8}\.json$/),
+    ]);
+    expect(await readManifest(stats, 'creators-manifest')).toEqual({
+      name: 'Tumblr for creators',
+      start_url: '/creators/',
+      scope: '/creators/',
+      icons: [expect.objectContaining({ sizes: '512x512' })],
+    });
+  });
+
+  it('generates icons from the source image for each app', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      source: path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+      sizes: [48, 96],
+      apps: [
+        { chunkName: 'app-manifest' },
+        { chunkName: 'creators-manifest', content: { name: 'Tumblr for creators' } },
+      ],
+    });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'manifest', 'definitely_not_a_manifest_icon.png')],
+    });
+
+    const icons = [
+      { type: 'image/png', sizes: '48x48', src: expect.stringMatching(/^\/manifest\/icon_48-/) },
+      { type: 'image/png', sizes: '96x96', src: expect.stringMatching(/^\/manifest\/icon_96-/) },
+    ];
+    expect(manifest.icons).toEqual(icons);
+    expect((await readManifest(stats, 'creators-manifest')).icons).toEqual(icons);
+    expect(stats.compilation.warnings).toEqual([]);
+  });
+
+  it('takes options an app sets to undefined from the plugin', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { name: 'Tumblr' },
+      destination: '/manifest',
+      apps: [{ chunkName: 'app-manifest', content: undefined, destination: undefined }],
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors).toEqual([]);
+    expect(manifest).toMatchObject({ name: 'Tumblr' });
+    expect(stats.toJson().assetsByChunkName['app-manifest']).toEqual([
+      expect.stringMatching(/^manifest\/manifest-[0-9a-f]{8}\.json$/),
+    ]);
+  });
+
+  it('reports duplicate chunk names as errors', async () => {
+    const plugin = new WebAppManifestPlugin({
+      destination: '/manifest',
+      apps: [
+        { chunkName: 'app-manifest', content: { name: 'Tumblr' } },
+        { chunkName: 'app-manifest', content: { name: 'Tumblr for creators' } },
+      ],
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining('The chunk name "app-manifest" is already used by another chunk.'),
+    ]);
+  });
+});
+
+describe('Runtime module', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'runtime', 'index.mjs'),
+  ];
+
+  const requireBundle = async () => {
+    const code = await fs.readFile(path.join(distPath, 'main.js'), 'utf-8');
+    const bundle = { exports: {} };
+    new Function('module', code)(bundle);
+    return bundle.exports;
+  };
+
+  it.each(['production', 'development'])(
+    'exports the manifest URL and content in %s mode',
+    async (mode) => {
+      const plugin = new WebAppManifestPlugin({
+        content: {
+          name: "Tumblr's app",
+          theme_color: '#36465d',
+          locales: { fr: { name: 'Tumblr' } },
+        },
+        destination: '/manifest',
+      });
+
+      const [, stats] = await compile(plugin, {
+        entries,
+        mode,
+        output: { library: { type: 'commonjs2' } },
+      });
+
+      const { assetsByChunkName } = stats.toJson();
+      const runtime = await requireBundle();
+      expect(runtime.manifestUrl).toBe(`/${assetsByChunkName['app-manifest'][0]}`);
+      expect(runtime.manifestUrls).toEqual({
+        'app-manifest': runtime.manifestUrl,
+        'app-manifest-fr': `/${assetsByChunkName['app-manifest-fr'][0]}`,
+      });
+      expect(runtime.name).toBe("Tumblr's app");
+      expect(runtime.themeColor).toBe('#36465d');
+      expect(runtime.backgroundColor).toBeUndefined();
+    },
+  );
+
+  it('prefixes the manifest URL with the public path', async () => {
+    const plugin = new WebAppManifestPlugin({ content: {}, destination: '/manifest' });
+
+    const [, stats] = await compile(plugin, {
+      entries,
+      publicPath: 'https://assets.example.com',
+      output: { library: { type: 'commonjs2' } },
+    });
+
+    const [manifestFile] = stats.toJson().assetsByChunkName['app-manifest'];
+    expect((await requireBundle()).manifestUrl).toBe(`https://assets.example.com/${manifestFile}`);
+  });
+
+  it('fills in the runtime module in the chunk that imports it', async () => {
+    const plugin = new WebAppManifestPlugin({ content: {}, destination: '/manifest' });
+
+    const [, stats] = await compile(plugin, {
+      entries: [entries[0], path.join(__dirname, 'assets', 'runtime', 'lazy.mjs')],
+    });
+
+    const [manifestFile] = stats.toJson().assetsByChunkName['app-manifest'];
+    const scripts = await Promise.all(
+      Object.keys(stats.compilation.assets)
+        .filter((name) => name.endsWith('.js'))
+        .map((name) => fs.readFile(path.join(distPath, name), 'utf-8')),
+    );
+    expect(scripts).toHaveLength(2);
+    expect(scripts.join()).not.toContain('__WEBPACK_WEB_APP_MANIFEST_RUNTIME__');
+    expect(scripts.filter((code) => code.includes(encodeURIComponent(manifestFile)))).toHaveLength(
+      1,
+    );
+  });
+});
+
+describe('Hooks', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+  ];
+
+  /**
+   * Creates a plugin that taps into the hooks of WebAppManifestPlugin with `tap`.
+   */
+  const createHooksPlugin = (tap) => ({
+    apply(compiler) {
+      compiler.hooks.thisCompilation.tap('TestPlugin', (compilation) => {
+        tap(WebAppManifestPlugin.getHooks(compilation));
+      });
+    },
+  });
+
+  it('returns the same hooks for a compilation', async () => {
+    const hooks = [];
+    const plugins = [
+      createHooksPlugin((compilationHooks) => hooks.push(compilationHooks)),
+      createHooksPlugin((compilationHooks) => hooks.push(compilationHooks)),
+    ];
+
+    await compile(new WebAppManifestPlugin({ content: {}, destination: '/manifest' }), {
+      entries,
+      plugins,
+    });
+
+    expect(hooks).toHaveLength(2);
+    expect(hooks[0]).toBe(hooks[1]);
+  });
+
+  it('lets other plugins change the icons and the manifest', async () => {
+    const emitted = [];
+    const plugins = [
+      createHooksPlugin((hooks) => {
+        hooks.beforeIconCollection.tapPromise('TestPlugin', async (data) => ({
+          ...data,
+          assetNames: data.assetNames.filter((name) => !name.includes('icon_512')),
+        }));
+        hooks.afterIconCollection.tap('TestPlugin', (data) => ({
+          ...data,
+          icons: data.icons.map((icon) => ({ ...icon, purpose: 'any' })),
+        }));
+        hooks.beforeEmit.tap('TestPlugin', (data) => ({
+          ...data,
+          manifest: { ...data.manifest, shortcuts: [{ name: 'New post', url: '/new' }] },
+        }));
+        hooks.afterEmit.tap('TestPlugin', (data) => {
+          emitted.push(data);
+        });
+      }),
+    ];
+
+    const [manifest, stats] = await compile(
+      new WebAppManifestPlugin({
+        content: { name: 'Tumblr', locales: { fr: {} } },
+        destination: '/manifest',
+      }),
+      { entries, plugins },
+    );
+
+    expect(manifest).toEqual({
+      name: 'Tumblr',
+      icons: [expect.objectContaining({ sizes: '192x192', purpose: 'any' })],
+      shortcuts: [{ name: 'New post', url: '/new' }],
+    });
+
+    const { assetsByChunkName } = stats.toJson();
+    expect(emitted).toEqual([
+      {
+        chunkName: 'app-manifest',
+        locale: undefined,
+        filename: assetsByChunkName['app-manifest'][0],
+        url: `/${assetsByChunkName['app-manifest'][0]}`,
+        manifest,
+      },
+      expect.objectContaining({ chunkName: 'app-manifest-fr', locale: 'fr' }),
+    ]);
+  });
+});
+
+describe('Legacy icons', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+  ];
+
+  it('generates favicon.ico, apple-touch-icon.png and browserconfig.xml', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { background_color: '#36465d', theme_color: '#001935' },
+      destination: '/manifest',
+      legacyIcons: true,
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    const [manifestFile, ...legacyFiles] = stats.toJson().assetsByChunkName['app-manifest'];
+    expect(manifestFile).toMatch(/\.json$/);
+    expect(legacyFiles).toEqual(['favicon.ico', 'apple-touch-icon.png', 'browserconfig.xml']);
+
+    const favicon = await fs.readFile(path.join(distPath, 'favicon.ico'));
+    expect(favicon.readUInt16LE(4)).toBe(3);
+    expect([favicon[6], favicon[22], favicon[38]]).toEqual([16, 32, 48]);
+
+    const appleTouchIcon = decodePng(
+      await fs.readFile(path.join(distPath, 'apple-touch-icon.png')),
+    );
+    expect(appleTouchIcon.width).toBe(180);
+    expect(appleTouchIcon.data.filter((_, index) => index % 4 === 3).every((a) => a === 255)).toBe(
+      true,
+    );
+
+    const browserconfig = await fs.readFile(path.join(distPath, 'browserconfig.xml'), 'utf-8');
+    expect(browserconfig).toContain('<TileColor>#001935</TileColor>');
+    const tiles = [...browserconfig.matchAll(/src="([^"]+)"/g)].map(([, src]) => src);
+    expect(tiles).toEqual([
+      expect.stringMatching(/^\/manifest\/mstile_128-[0-9a-f]{8}\.png$/),
+      expect.stringMatching(/^\/manifest\/mstile_270-[0-9a-f]{8}\.png$/),
+      expect.stringMatching(/^\/manifest\/mstile_558-[0-9a-f]{8}\.png$/),
+    ]);
+    await Promise.all(tiles.map((src) => fs.access(path.join(distPath, src))));
+  });
+
+  it('adds the legacy icons to their own chunk', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      legacyIcons: { chunkName: 'legacy-icons', destination: '/icons', faviconSizes: [32] },
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    const { assetsByChunkName } = stats.toJson();
+    expect(assetsByChunkName['app-manifest']).toHaveLength(1);
+    expect(assetsByChunkName['legacy-icons']).toEqual([
+      'icons/favicon.ico',
+      'icons/apple-touch-icon.png',
+      'icons/browserconfig.xml',
+    ]);
+    const browserconfig = await fs.readFile(
+      path.join(distPath, 'icons', 'browserconfig.xml'),
+      'utf-8',
+    );
+    expect(browserconfig).not.toContain('TileColor');
+  });
+
+  it('reports a warning without a PNG icon', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      legacyIcons: true,
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'purpose', 'manifest', 'icon_512-maskable.png')],
+    });
+
+    expect(stats.compilation.warnings.map(({ message }) => message)).toContainEqual(
+      expect.stringContaining('legacyIcons requires a PNG icon'),
+    );
+  });
+
+  it('reports an error when the icon cannot be decoded', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      legacyIcons: true,
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'corrupt', 'manifest', 'icon_512.png')],
+    });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(
+        /Unable to generate legacy icons from manifest\/icon_512-\w+\.png: incorrect header check/,
+      ),
+    ]);
+  });
+});
+
+describe('Splash screens', () => {
+  const entries = [path.join(__dirname, 'assets', 'manifest', 'icon_512.png')];
+  const devices = [{ width: 20, height: 40, pixelRatio: 2 }];
+
+  it('generates a splash screen for each device and orientation', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { background_color: '#ff0000' },
+      destination: '/manifest',
+      splashScreens: { devices },
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    const [linksFile] = stats.toJson().assetsByChunkName['app-manifest-splash-screens'];
+    const links = JSON.parse(await fs.readFile(path.join(distPath, linksFile), 'utf-8'));
+    expect(links).toEqual([
+      {
+        rel: 'apple-touch-startup-image',
+        href: expect.stringMatching(/^\/manifest\/splash_40x80-[0-9a-f]{8}\.png$/),
+        media:
+          '(device-width: 20px) and (device-height: 40px) and (-webkit-device-pixel-ratio: 2) and (orientation: portrait)',
+      },
+      {
+        rel: 'apple-touch-startup-image',
+        href: expect.stringMatching(/^\/manifest\/splash_80x40-[0-9a-f]{8}\.png$/),
+        media:
+          '(device-width: 20px) and (device-height: 40px) and (-webkit-device-pixel-ratio: 2) and (orientation: landscape)',
+      },
+    ]);
+
+    const splashScreen = decodePng(await fs.readFile(path.join(distPath, links[0].href)));
+    expect([splashScreen.width, splashScreen.height]).toEqual([40, 80]);
+    expect(Array.from(splashScreen.data.subarray(0, 4))).toEqual([255, 0, 0, 255]);
+  });
+
+  it('follows the orientation of the manifest and adds link tags to pages', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { background_color: '#fff', orientation: 'portrait-primary' },
+      destination: '/manifest',
+      htmlWebpackPlugin: true,
+      splashScreens: { devices, chunkName: 'splash' },
+    });
+
+    const [, stats] = await compile(plugin, { entries, plugins: [new HtmlWebpackPlugin()] });
+
+    const [linksFile] = stats.toJson().assetsByChunkName.splash;
+    const links = JSON.parse(await fs.readFile(path.join(distPath, linksFile), 'utf-8'));
+    expect(links).toHaveLength(1);
+
+    const html = await fs.readFile(path.join(distPath, 'index.html'), 'utf-8');
+    expect(html).toContain(
+      `<link rel="apple-touch-startup-image" media="${links[0].media}" href="${links[0].href}">`,
+    );
+  });
+
+  it('reports a warning without a hex background color', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { background_color: 'white' },
+      destination: '/manifest',
+      splashScreens: true,
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    expect(stats.compilation.warnings.map(({ message }) => message)).toContainEqual(
+      expect.stringContaining('splashScreens requires a hex background_color'),
+    );
+  });
+
+  it('reports an error when the icon cannot be decoded', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { background_color: '#ffffff' },
+      destination: '/manifest',
+      splashScreens: { devices },
+    });
+
+    const [, stats] = await compile(plugin, {
+      entries: [path.join(__dirname, 'assets', 'corrupt', 'manifest', 'icon_512.png')],
+    });
+
+    expect(stats.compilation.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(
+        /Unable to generate splash screens from manifest\/icon_512-\w+\.png: incorrect header check/,
+      ),
+    ]);
+  });
+});
+
+describe('Caching', () => {
+  /**
+   * Runs the same compiler twice with a memory cache, like a rebuild in watch mode.
+   */
+  async function compileTwice(plugin, changePlugin = () => {}, plugins = []) {
+    const compiler = webpack({
+      mode: 'production',
+      cache: { type: 'memory' },
+      entry: { main: [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')] },
+      output: { publicPath: '/', path: distPath },
+      module: { rules: [{ test: /\.png$/, type: 'asset/resource' }] },
+      plugins: [plugin, ...plugins],
+    });
+    const run = () =>
+      new Promise((resolve, reject) =>
+        compiler.run((err, stats) => (err ? reject(err) : resolve(stats))),
+      );
+
+    const first = await run();
+    changePlugin();
+    const second = await run();
+    await new Promise((resolve) => compiler.close(resolve));
+    return [first, second];
+  }
+
+  const getSource = (stats, pattern) => {
+    const name = Object.keys(stats.compilation.assets).find((asset) => pattern.test(asset));
+    return stats.compilation.assets[name];
+  };
+
+  it('reuses the manifest and generated icons when nothing changed', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { name: 'Cached' },
+      destination: '/manifest',
+      source: path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+      sizes: [48],
+      legacyIcons: true,
+    });
+
+    const [first, second] = await compileTwice(plugin);
+
+    expect(first.hasErrors()).toBe(false);
+    for (const pattern of [/^manifest\/manifest-/, /^manifest\/icon_48-/, /^favicon\.ico$/]) {
+      expect(getSource(first, pattern)).toBeDefined();
+      expect(getSource(second, pattern)).toBe(getSource(first, pattern));
+    }
+  });
+
+  it('serializes the manifest again when its content changed', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { name: 'Cached' },
+      destination: '/manifest',
+      source: path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+      sizes: [48],
+    });
+
+    const [first, second] = await compileTwice(plugin, () => {
+      plugin.content = { name: 'Changed' };
+    });
+
+    const manifest = /^manifest\/manifest-/;
+    expect(getSource(second, manifest)).not.toBe(getSource(first, manifest));
+    const [manifestFile] = second.toJson().assetsByChunkName['app-manifest'];
+    const content = JSON.parse(await fs.readFile(path.join(distPath, manifestFile), 'utf-8'));
+    expect(content).toMatchObject({ name: 'Changed' });
+    expect(getSource(second, /^manifest\/icon_48-/)).toBe(getSource(first, /^manifest\/icon_48-/));
+  });
+
+  // Counts the manifests the hooks are called for, which are the ones that were built.
+  const countBuiltManifests = () => {
+    const counter = {
+      count: 0,
+      apply(compiler) {
+        compiler.hooks.thisCompilation.tap('CountingPlugin', (compilation) => {
+          WebAppManifestPlugin.getHooks(compilation).beforeEmit.tap('CountingPlugin', (data) => {
+            counter.count++;
+            return data;
+          });
+        });
+      },
+    };
+    return counter;
+  };
+
+  it('skips building the manifests when nothing they are built from changed', async () => {
+    const counter = countBuiltManifests();
+    const plugin = new WebAppManifestPlugin({
+      content: { name: 'Cached', display: 'window', locales: { fr: { name: 'En cache' } } },
+      destination: '/manifest',
+      legacyIcons: { chunkName: 'legacy-icons' },
+    });
+
+    const [first, second] = await compileTwice(plugin, () => {}, [counter]);
+
+    expect(counter.count).toBe(2);
+    const { assetsByChunkName } = first.toJson();
+    expect(second.toJson().assetsByChunkName).toEqual(assetsByChunkName);
+    for (const [file] of Object.values(assetsByChunkName)) {
+      const { source, info } = first.compilation.getAsset(file);
+      expect(second.compilation.getAsset(file).source).toBe(source);
+      expect(second.compilation.getAsset(file).info).toEqual(info);
+    }
+    const getWarnings = ({ compilation }) =>
+      compilation.warnings.map(({ message, file }) => ({ message, file }));
+    expect(getWarnings(second)).toEqual(getWarnings(first));
+    expect(getWarnings(second)).toContainEqual({
+      message: expect.stringContaining('display'),
+      file: assetsByChunkName['app-manifest'][0],
+    });
+  });
+
+  it('builds the manifests again when an icon changed', async () => {
+    const counter = countBuiltManifests();
+    const iconSources = new Map();
+    let iconFile = 'icon_192.png';
+    // Emits manifest/icon_192.png with the content of iconFile, keeping the source of each file.
+    const emitIcon = {
+      apply(compiler) {
+        const { Compilation, sources } = compiler.webpack;
+        compiler.hooks.thisCompilation.tap('EmitIcon', (compilation) => {
+          compilation.hooks.processAssets.tapPromise(
+            { name: 'EmitIcon', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+            async () => {
+              if (!iconSources.has(iconFile)) {
+                const icon = await fs.readFile(
+                  path.join(__dirname, 'assets', 'manifest', iconFile),
+                );
+                iconSources.set(iconFile, new sources.RawSource(icon));
+              }
+              compilation.emitAsset('manifest/icon_192.png', iconSources.get(iconFile));
+            },
+          );
+        });
+      },
+    };
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      isAssetManifestIcon: (fileName) => fileName === 'manifest/icon_192.png',
+    });
+
+    const [first, second] = await compileTwice(
+      plugin,
+      () => {
+        iconFile = 'icon_512.png';
+      },
+      [emitIcon, counter],
+    );
+
+    expect(counter.count).toBe(2);
+    const readSizes = async (stats) => {
+      const [manifestFile] = stats.toJson().assetsByChunkName['app-manifest'];
+      const content = JSON.parse(await fs.readFile(path.join(distPath, manifestFile), 'utf-8'));
+      return content.icons.map(({ sizes }) => sizes);
+    };
+    expect(await readSizes(first)).toEqual(['192x192']);
+    expect(await readSizes(second)).toEqual(['512x512']);
+  });
+
+  it('builds the manifests every time with a content function', async () => {
+    const counter = countBuiltManifests();
+    const plugin = new WebAppManifestPlugin({
+      content: () => ({ name: 'Dynamic' }),
+      destination: '/manifest',
+    });
+
+    await compileTwice(plugin, () => {}, [counter]);
+
+    expect(counter.count).toBe(2);
+  });
+});
+
+describe('Asset info', () => {
+  const entries = [path.join(__dirname, 'assets', 'manifest', 'icon_192.png')];
+
+  const getAssetInfo = (stats, name) => stats.compilation.getAsset(name).info;
+
+  it('marks hashed manifests as immutable and relates them to their icons', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { locales: { fr: { name: 'Application' } } },
+      destination: '/manifest',
+      source: path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+      sizes: [48],
+    });
+
+    const [manifest, stats] = await compile(plugin, { entries });
+
+    const { assetsByChunkName } = stats.toJson();
+    const [manifestFile] = assetsByChunkName['app-manifest'];
+    const iconFiles = manifest.icons.map(({ src }) => src.slice(1));
+    expect(getAssetInfo(stats, manifestFile)).toMatchObject({
+      immutable: true,
+      contenthash: manifestFile.match(/-([0-9a-f]{8})\.json$/)[1],
+      javascriptModule: false,
+      related: { icon: expect.arrayContaining(iconFiles) },
+      webAppManifest: { chunkName: 'app-manifest' },
+    });
+    expect(getAssetInfo(stats, assetsByChunkName['app-manifest-fr'][0])).toMatchObject({
+      webAppManifest: { chunkName: 'app-manifest-fr', locale: 'fr' },
+    });
+
+    const generatedIcon = iconFiles.find((file) => file.includes('icon_48-'));
+    expect(getAssetInfo(stats, generatedIcon)).toMatchObject({
+      immutable: true,
+      contenthash: generatedIcon.match(/-([0-9a-f]{8})\.png$/)[1],
+    });
+  });
+
+  it('does not mark manifests without a hash in their file name as immutable', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      filename: 'manifest.json',
+    });
+
+    const [, stats] = await compile(plugin, { entries });
+
+    const info = getAssetInfo(stats, 'manifest/manifest.json');
+    expect(info.immutable).toBeFalsy();
+    expect(info.webAppManifest).toEqual({ chunkName: 'app-manifest' });
+  });
+});
+
+describe('Precache list', () => {
+  const entries = [
+    path.join(__dirname, 'assets', 'manifest', 'icon_192.png'),
+    path.join(__dirname, 'assets', 'manifest', 'icon_512.png'),
+  ];
+
+  const readPrecacheList = async (stats, chunkName = 'app-manifest-precache') => {
+    const [precacheFile] = stats.toJson().assetsByChunkName[chunkName];
+    return JSON.parse(await fs.readFile(path.join(distPath, precacheFile), 'utf-8'));
+  };
+
+  it('lists the manifests and their icons with revisions for unhashed files', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: { locales: { fr: { name: 'Application' } } },
+      destination: '/manifest',
+      filename: '[name].json',
+      precache: true,
+    });
+
+    const [manifest, stats] = await compile(plugin, {
+      entries,
+      output: { hashFunction: 'sha256', hashDigestLength: 16 },
+    });
+
+    const manifestContent = await fs.readFile(path.join(distPath, 'manifest', 'manifest.json'));
+    expect(await readPrecacheList(stats)).toEqual([
+      {
+        url: '/manifest/manifest.json',
+        revision: crypto.createHash('sha256').update(manifestContent).digest('hex').slice(0, 16),
+      },
+      { url: '/manifest/manifest-fr.json', revision: expect.stringMatching(/^[0-9a-f]{16}$/) },
+      ...manifest.icons.map(({ src }) => ({ url: src, revision: null })),
+    ]);
+  });
+
+  it('lets plugins change the entries and uses file names with an auto public path', async () => {
+    const plugin = new WebAppManifestPlugin({
+      content: {},
+      destination: '/manifest',
+      precache: { chunkName: 'precache' },
+    });
+    const collected = [];
+    const precachePlugin = {
+      apply(compiler) {
+        compiler.hooks.thisCompilation.tap('PrecachePlugin', (compilation) => {
+          WebAppManifestPlugin.getHooks(compilation).precacheEntries.tap(
+            'PrecachePlugin',
+            (data) => {
+              collected.push(...data.entries);
+              return { ...data, entries: data.entries.slice(0, 1) };
+            },
+          );
+        });
+      },
+    };
+
+    const [, stats] = await compile(plugin, {
+      entries,
+      publicPath: 'auto',
+      plugins: [precachePlugin],
+    });
+
+    const [manifestFile] = stats.toJson().assetsByChunkName['app-manifest'];
+    expect(collected).toHaveLength(3);
+    expect(await readPrecacheList(stats, 'precache')).toEqual([
+      { url: manifestFile, revision: null },
+    ]);
+  });
+});
+
 describe('CommonJS and ESM imports are compatible', () => {
   beforeAll(() => {
     execSync('yarn build');
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { decodePng, encodePng } = require('../png');
+const { resizeBitmap, resizeBitmapToSquare } = require('../resize');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'assets', 'manifest', name));
+
+/**
+ * Builds a PNG by hand so that color types the encoder never writes can be decoded.
+ */
+function buildPng({
+  width,
+  height,
+  bitDepth,
+  colorType,
+  interlace = 0,
+  filter = 0,
+  rows,
+  chunks = [],
+}) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    // The decoder does not verify checksums.
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  header[12] = interlace;
+  const scanlines = Buffer.concat(rows.map((row) => Buffer.from([filter, ...row])));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    ...chunks.map(([type, data]) => chunk(type, Buffer.from(data))),
+    chunk('IDAT', zlib.deflateSync(scanlines)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+const pixel = (image, x, y) =>
+  Array.from(image.data.subarray((y * image.width + x) * 4, (y * image.width + x + 1) * 4));
+
+describe('decodePng', () => {
+  it('decodes RGBA images', () => {
+    const image = decodePng(fixture('icon_192.png'));
+    expect(image.width).toBe(192);
+    expect(image.height).toBe(192);
+    expect(image.data).toHaveLength(192 * 192 * 4);
+  });
+
+  it('decodes 1-bit grayscale images', () => {
+    const image = decodePng(
+      buildPng({ width: 3, height: 1, bitDepth: 1, colorType: 0, rows: [[0b10100000]] }),
+    );
+    expect([pixel(image, 0, 0), pixel(image, 1, 0), pixel(image, 2, 0)]).toEqual([
+      [255, 255, 255, 255],
+      [0, 0, 0, 255],
+      [255, 255, 255, 255],
+    ]);
+  });
+
+  it('decodes palette images with transparency', () => {
+    const image = decodePng(
+      buildPng({
+        width: 2,
+        height: 1,
+        bitDepth: 8,
+        colorType: 3,
+        rows: [[0, 1]],
+        chunks: [
+          ['PLTE', [255, 0, 0, 0, 0, 255]],
+          ['tRNS', [128]],
+        ],
+      }),
+    );
+    expect([pixel(image, 0, 0), pixel(image, 1, 0)]).toEqual([
+      [255, 0, 0, 128],
+      [0, 0, 255, 255],
+    ]);
+  });
+
+  it('decodes 4-bit palette images', () => {
+    const image = decodePng(
+      buildPng({
+        width: 2,
+        height: 1,
+        bitDepth: 4,
+        colorType: 3,
+        rows: [[0b00010000]],
+        chunks: [['PLTE', [255, 0, 0, 0, 0, 255]]],
+      }),
+    );
+    expect([pixel(image, 0, 0), pixel(image, 1, 0)]).toEqual([
+      [0, 0, 255, 255],
+      [255, 0, 0, 255],
+    ]);
+  });
+
+  it('decodes 16-bit RGB images with a transparent color key', () => {
+    const image = decodePng(
+      buildPng({
+        width: 2,
+        height: 1,
+        bitDepth: 16,
+        colorType: 2,
+        rows: [[0xff, 0xff, 0, 0, 0, 0, 0x12, 0x34, 0x56, 0x78, 0x9a, 0xbc]],
+        chunks: [['tRNS', [0x12, 0x34, 0x56, 0x78, 0x9a, 0xbc]]],
+      }),
+    );
+    expect([pixel(image, 0, 0), pixel(image, 1, 0)]).toEqual([
+      [255, 0, 0, 255],
+      [0x12, 0x56, 0x9a, 0],
+    ]);
+  });
+
+  it('decodes grayscale images with a transparent gray level', () => {
+    const eightBit = decodePng(
+      buildPng({
+        width: 2,
+        height: 1,
+        bitDepth: 8,
+        colorType: 0,
+        rows: [[0x40, 0x80]],
+        chunks: [['tRNS', [0, 0x80]]],
+      }),
+    );
+    expect([pixel(eightBit, 0, 0), pixel(eightBit, 1, 0)]).toEqual([
+      [0x40, 0x40, 0x40, 255],
+      [0x80, 0x80, 0x80, 0],
+    ]);
+
+    const twoBit = decodePng(
+      buildPng({
+        width: 2,
+        height: 1,
+        bitDepth: 2,
+        colorType: 0,
+        rows: [[0b01100000]],
+        chunks: [['tRNS', [0, 2]]],
+      }),
+    );
+    expect([pixel(twoBit, 0, 0), pixel(twoBit, 1, 0)]).toEqual([
+      [85, 85, 85, 255],
+      [170, 170, 170, 0],
+    ]);
+  });
+
+  it('decodes 16-bit grayscale images with an alpha channel', () => {
+    const image = decodePng(
+      buildPng({
+        width: 1,
+        height: 1,
+        bitDepth: 16,
+        colorType: 4,
+        rows: [[0x12, 0x34, 0x80, 0xff]],
+      }),
+    );
+    expect(pixel(image, 0, 0)).toEqual([0x12, 0x12, 0x12, 0x80]);
+  });
+
+  it('decodes interlaced images', () => {
+    // Each row is a scanline of one of the passes that has pixels in a 3x3 image.
+    const image = decodePng(
+      buildPng({
+        width: 3,
+        height: 3,
+        bitDepth: 8,
+        colorType: 0,
+        interlace: 1,
+        rows: [[0], [20], [60, 80], [10], [70], [30, 40, 50]],
+      }),
+    );
+    const grays = [];
+    for (let y = 0; y < 3; y++) {
+      for (let x = 0; x < 3; x++) {
+        grays.push(pixel(image, x, y)[0]);
+      }
+    }
+    expect(grays).toEqual([0, 10, 20, 30, 40, 50, 60, 70, 80]);
+  });
+
+  it('rejects unknown filter types', () => {
+    expect(() =>
+      decodePng(
+        buildPng({ width: 1, height: 1, bitDepth: 8, colorType: 0, filter: 5, rows: [[0]] }),
+      ),
+    ).toThrow('Invalid PNG filter type 5');
+  });
+
+  it('rejects unknown color types and palette images without a palette', () => {
+    expect(() =>
+      decodePng(buildPng({ width: 1, height: 1, bitDepth: 8, colorType: 5, rows: [[0]] })),
+    ).toThrow('Invalid PNG header');
+    expect(() =>
+      decodePng(buildPng({ width: 1, height: 1, bitDepth: 8, colorType: 3, rows: [[0]] })),
+    ).toThrow('Invalid PNG header');
+  });
+
+  it('rejects files that are not PNGs', () => {
+    expect(() => decodePng(Buffer.from('GIF89a'))).toThrow('Not a PNG image');
+  });
+});
+
+describe('encodePng', () => {
+  it('round trips through the decoder', () => {
+    const image = decodePng(fixture('icon_512.png'));
+    const decoded = decodePng(encodePng(image));
+    expect(decoded.width).toBe(512);
+    expect(decoded.height).toBe(512);
+    expect(Buffer.from(decoded.data).equals(Buffer.from(image.data))).toBe(true);
+  });
+});
+
+describe('resizeBitmap', () => {
+  const solid = (width, height, color) => ({
+    width,
+    height,
+    data: Uint8Array.from({ length: width * height * 4 }, (_, i) => color[i % 4]),
+  });
+
+  it('preserves solid colors when shrinking and enlarging', () => {
+    expect(pixel(resizeBitmap(solid(10, 10, [10, 20, 30, 255]), 3, 3), 1, 1)).toEqual([
+      10, 20, 30, 255,
+    ]);
+    expect(pixel(resizeBitmap(solid(2, 2, [10, 20, 30, 255]), 7, 5), 6, 4)).toEqual([
+      10, 20, 30, 255,
+    ]);
+  });
+
+  it('does not bleed the color of transparent pixels', () => {
+    const image = solid(2, 1, [255, 0, 0, 255]);
+    image.data.set([0, 0, 0, 0], 4);
+    const [r, g, b, a] = pixel(resizeBitmap(image, 1, 1), 0, 0);
+    expect([r, g, b]).toEqual([255, 0, 0]);
+    expect(a).toBe(128);
+  });
+
+  it('centers non-square images on a transparent square', () => {
+    const resized = resizeBitmapToSquare(solid(40, 20, [0, 255, 0, 255]), 10);
+    expect(resized.width).toBe(10);
+    expect(resized.height).toBe(10);
+    expect(pixel(resized, 5, 0)).toEqual([0, 0, 0, 0]);
+    expect(pixel(resized, 5, 5)).toEqual([0, 255, 0, 255]);
+  });
+});
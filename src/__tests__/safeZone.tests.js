@@ -0,0 +1,47 @@
+const { analyzeSafeZone } = require('../safeZone');
+
+/**
+ * Creates a square image filled with `background`, with a centered disc of `color` whose radius is
+ * a fraction of the size of the image.
+ */
+function disc(size, radius, color, background) {
+  const data = new Uint8Array(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const inside = Math.hypot(x + 0.5 - size / 2, y + 0.5 - size / 2) <= size * radius;
+      data.set(inside ? color : background, (y * size + x) * 4);
+    }
+  }
+  return { width: size, height: size, data };
+}
+
+describe('analyzeSafeZone', () => {
+  const white = [255, 255, 255, 255];
+  const blue = [54, 70, 93, 255];
+
+  it('finds nothing wrong with content inside the safe zone on an opaque background', () => {
+    expect(analyzeSafeZone(disc(100, 0.3, white, blue))).toEqual({ transparent: 0, clipped: 0 });
+  });
+
+  it('handles images without content or without pixels outside the safe zone', () => {
+    expect(analyzeSafeZone(disc(100, 0.3, blue, blue))).toEqual({ transparent: 0, clipped: 0 });
+    expect(analyzeSafeZone(disc(1, 0.3, white, white))).toEqual({ transparent: 0, clipped: 0 });
+  });
+
+  it('measures the share of content outside the safe zone', () => {
+    const { transparent, clipped } = analyzeSafeZone(disc(100, 0.45, white, blue));
+
+    expect(transparent).toBe(0);
+    // The content is a disc of radius 45, and the safe zone a disc of radius 40.
+    expect(clipped).toBeCloseTo(100 - (40 ** 2 / 45 ** 2) * 100, 0);
+  });
+
+  it('measures the share of transparent pixels outside the safe zone', () => {
+    const { transparent, clipped } = analyzeSafeZone(disc(100, 0.5, blue, [0, 0, 0, 0]));
+
+    // Only the corners, outside the disc of radius 50, are transparent.
+    const outside = 100 * 100 - Math.PI * 40 ** 2;
+    expect(transparent).toBeCloseTo(((100 * 100 - Math.PI * 50 ** 2) / outside) * 100, 0);
+    expect(clipped).toBeCloseTo(((Math.PI * (50 ** 2 - 40 ** 2)) / (Math.PI * 50 ** 2)) * 100, 0);
+  });
+});
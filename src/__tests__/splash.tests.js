@@ -0,0 +1,55 @@
+const { createSplashScreen, getSplashScreenOrientations } = require('../splash');
+
+const pixel = (image, x, y) =>
+  Array.from(image.data.subarray((y * image.width + x) * 4, (y * image.width + x + 1) * 4));
+
+describe('createSplashScreen', () => {
+  const icon = {
+    width: 2,
+    height: 2,
+    data: Uint8Array.from(
+      [
+        [0, 0, 255, 255],
+        [0, 0, 255, 255],
+        [0, 0, 255, 255],
+        [0, 0, 255, 0],
+      ].flat(),
+    ),
+  };
+
+  it('centers the icon on the background without scaling it up', () => {
+    const splashScreen = createSplashScreen(icon, 10, 20, [255, 0, 0]);
+
+    expect([splashScreen.width, splashScreen.height]).toEqual([10, 20]);
+    expect(pixel(splashScreen, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(splashScreen, 4, 9)).toEqual([0, 0, 255, 255]);
+    // Transparent pixels of the icon show the background.
+    expect(pixel(splashScreen, 5, 10)).toEqual([255, 0, 0, 255]);
+    expect(pixel(splashScreen, 6, 11)).toEqual([255, 0, 0, 255]);
+  });
+
+  it('scales the icon down to 40% of the shorter side', () => {
+    const largeIcon = {
+      width: 100,
+      height: 100,
+      data: new Uint8Array(100 * 100 * 4).fill(255),
+    };
+
+    const splashScreen = createSplashScreen(largeIcon, 50, 100, [0, 0, 0]);
+
+    // The icon is 20 pixels wide, from x = 15 to x = 34.
+    expect(pixel(splashScreen, 14, 50)).toEqual([0, 0, 0, 255]);
+    expect(pixel(splashScreen, 15, 50)).toEqual([255, 255, 255, 255]);
+    expect(pixel(splashScreen, 34, 50)).toEqual([255, 255, 255, 255]);
+    expect(pixel(splashScreen, 35, 50)).toEqual([0, 0, 0, 255]);
+  });
+});
+
+describe('getSplashScreenOrientations', () => {
+  it('reads the orientations from the manifest orientation', () => {
+    expect(getSplashScreenOrientations('portrait-primary')).toEqual(['portrait']);
+    expect(getSplashScreenOrientations('landscape')).toEqual(['landscape']);
+    expect(getSplashScreenOrientations('any')).toEqual(['portrait', 'landscape']);
+    expect(getSplashScreenOrientations(undefined)).toEqual(['portrait', 'landscape']);
+  });
+});
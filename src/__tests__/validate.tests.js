@@ -0,0 +1,131 @@
+const { isColor, validateManifest } = require('../validate');
+
+const baseUrl = 'https://localhost/manifest/manifest-01234567.json';
+
+describe('isColor', () => {
+  it.each([
+    '#fff',
+    '#36465d',
+    '#36465dcc',
+    'RebeccaPurple',
+    'rgb(0 0 0 / 50%)',
+    'hsl(0, 50%, 50%)',
+  ])('accepts %s', (color) => {
+    expect(isColor(color)).toBe(true);
+  });
+
+  it.each(['#36465', 'blurple', 'rgb(', '36465d'])('rejects %s', (color) => {
+    expect(isColor(color)).toBe(false);
+  });
+});
+
+describe('validateManifest', () => {
+  it('accepts a valid manifest', () => {
+    expect(
+      validateManifest(
+        {
+          name: 'Tumblr',
+          short_name: 'Tumblr',
+          display: 'standalone',
+          display_override: ['window-controls-overlay'],
+          theme_color: '#36465d',
+          start_url: '/dashboard',
+          scope: '/',
+          id: '/',
+          categories: ['social'],
+          prefer_related_applications: false,
+          icons: [{ src: '/icon.png', sizes: '192x192 any', type: 'image/png', purpose: 'any' }],
+          shortcuts: [{ name: 'New post', url: '/new', icons: [{ src: '/new.png' }] }],
+        },
+        baseUrl,
+      ),
+    ).toEqual([]);
+  });
+
+  it('reports member types, enumerations and colors', () => {
+    expect(
+      validateManifest(
+        {
+          name: 42,
+          display: 'standalon',
+          dir: 'up',
+          display_override: ['floating'],
+          categories: [1],
+          background_color: 'blurple',
+          prefer_related_applications: 'no',
+        },
+        baseUrl,
+      ),
+    ).toEqual([
+      'name must be of type string, but it is number.',
+      'display must be one of fullscreen, standalone, minimal-ui, browser, but it is "standalon".',
+      'dir must be one of ltr, rtl, auto, but it is "up".',
+      'background_color must be a CSS color, but it is "blurple".',
+      'prefer_related_applications must be of type boolean, but it is string.',
+      'display_override contains the unknown display mode "floating".',
+      'categories must only contain strings.',
+    ]);
+  });
+
+  it('reports unknown members', () => {
+    expect(validateManifest({ nmae: 'Tumblr' }, baseUrl)).toEqual([
+      'Unknown manifest member "nmae".',
+    ]);
+  });
+
+  it('reports URLs outside of the scope', () => {
+    expect(
+      validateManifest(
+        {
+          start_url: '/explore',
+          scope: '/dashboard/',
+          id: 'https://example.com/',
+          shortcuts: [{ name: 'Settings', url: '/settings' }, { name: 'Broken' }, null],
+        },
+        baseUrl,
+      ),
+    ).toEqual([
+      'start_url "/explore" is outside of scope "/dashboard/".',
+      'id must have the same origin as start_url.',
+      'shortcuts[0].url "/settings" is outside of scope.',
+      'shortcuts[1] must have a string name and url.',
+      'shortcuts[2] must have a string name and url.',
+    ]);
+  });
+
+  it('accepts an id without a start_url', () => {
+    expect(validateManifest({ id: 'https://example.com/' }, baseUrl)).toEqual([]);
+  });
+
+  it('reports invalid URLs', () => {
+    expect(validateManifest({ scope: 'http://[' }, baseUrl)).toEqual([
+      'scope must be a URL, but it is "http://[".',
+    ]);
+  });
+
+  it('reports invalid image resources', () => {
+    expect(
+      validateManifest(
+        {
+          icons: [
+            null,
+            { sizes: '192', type: 'png', purpose: 'badge' },
+            { src: '/icon.png', purpose: ['any'] },
+          ],
+          screenshots: [{ src: '/screenshot.png', sizes: 'big', form_factor: 'tall' }, null],
+        },
+        baseUrl,
+      ),
+    ).toEqual([
+      'icons[0] must be an object, but it is null.',
+      'icons[1].src must be a non-empty string.',
+      'icons[1].sizes must be a space separated list of WIDTHxHEIGHT or "any".',
+      'icons[1].type must be a MIME type, but it is "png".',
+      'icons[1].purpose must be a space separated list of any, maskable, monochrome.',
+      'icons[2].purpose must be a space separated list of any, maskable, monochrome.',
+      'screenshots[0].sizes must be a space separated list of WIDTHxHEIGHT or "any".',
+      'screenshots[1] must be an object, but it is null.',
+      'screenshots[0].form_factor must be one of wide, narrow.',
+    ]);
+  });
+});
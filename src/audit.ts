@@ -0,0 +1,97 @@
+import type { ImageResource, WebAppManifest } from 'web-app-manifest';
+
+/** A problem found while auditing whether browsers can install an app from its manifest. */
+export interface AuditFinding {
+  /** Errors stop browsers from offering to install the app, warnings affect how it looks once installed. */
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+/** The display modes browsers install apps with. Apps displayed in the browser aren't installable. */
+const INSTALLABLE_DISPLAY_MODES = ['fullscreen', 'standalone', 'minimal-ui'];
+
+/** A manifest, with the members the web-app-manifest types don't know about yet. */
+type AuditedManifest = WebAppManifest & { id?: string; display_override?: string[] };
+
+/**
+ * Determines the square sizes an icon can be shown at, with "any" matching every size.
+ *
+ * @param icon An icon of the manifest.
+ *
+ * @returns the width of each square size of the icon.
+ */
+function getSquareSizes({ sizes = '' }: ImageResource): number[] {
+  return sizes.split(/\s+/).reduce<number[]>((squareSizes, size) => {
+    const match = size.match(/^(\d+)x(\d+)$/i);
+    if (size.toLowerCase() === 'any') {
+      squareSizes.push(Infinity);
+    } else if (match && match[1] === match[2]) {
+      squareSizes.push(Number(match[1]));
+    }
+    return squareSizes;
+  }, []);
+}
+
+/**
+ * Determines if an icon has one of the purposes, where an icon without a purpose is for any use.
+ */
+function hasPurpose({ purpose = 'any' }: ImageResource, purposes: string[]): boolean {
+  return purpose.split(/\s+/).some((word) => purposes.includes(word));
+}
+
+/**
+ * Audits a web app manifest against the rules browsers follow before offering to install an app,
+ * and the recommendations of Lighthouse for how it looks once installed.
+ *
+ * @param manifest The complete web app manifest.
+ *
+ * @returns the findings of the audit.
+ */
+export function auditManifest(manifest: AuditedManifest): AuditFinding[] {
+  const findings: AuditFinding[] = [];
+  const error = (message: string) => findings.push({ severity: 'error', message });
+  const warning = (message: string) => findings.push({ severity: 'warning', message });
+
+  if (!manifest.name && !manifest.short_name) {
+    error('The app cannot be installed, because the manifest has no name or short_name.');
+  }
+
+  const icons = (manifest.icons || []).filter((icon) => hasPurpose(icon, ['any']));
+  [192, 512].forEach((size) => {
+    if (!icons.some((icon) => getSquareSizes(icon).some((iconSize) => iconSize >= size))) {
+      error(
+        `The app cannot be installed, because the manifest has no icon of at least ${size}x${size} pixels without a maskable or monochrome only purpose.`,
+      );
+    }
+  });
+
+  const displayModes = [
+    ...(Array.isArray(manifest.display_override) ? manifest.display_override : []),
+    manifest.display,
+  ];
+  if (!displayModes.some((mode) => mode && INSTALLABLE_DISPLAY_MODES.includes(mode))) {
+    error(
+      `The app cannot be installed, because display is ${JSON.stringify(
+        manifest.display || 'browser',
+      )}. Use one of ${INSTALLABLE_DISPLAY_MODES.join(', ')}.`,
+    );
+  }
+
+  if (!manifest.start_url) {
+    error('The app cannot be installed, because the manifest has no start_url.');
+  }
+
+  if (!(manifest.icons || []).some((icon) => hasPurpose(icon, ['maskable']))) {
+    warning(
+      'The manifest has no maskable icon, so platforms that crop icons into shapes show it shrunk on a white background.',
+    );
+  }
+
+  if (!manifest.id) {
+    warning(
+      'The manifest has no id, so browsers identify the app by its start_url, and treat it as a new app if start_url changes.',
+    );
+  }
+
+  return findings;
+}
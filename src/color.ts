@@ -0,0 +1,182 @@
+import type { Bitmap } from './png';
+
+/** The red, green and blue channels of a color, from 0 to 255. */
+export type Rgb = [number, number, number];
+
+/** The red, green, blue and alpha channels of a color, from 0 to 255. */
+export type Rgba = [number, number, number, number];
+
+/**
+ * How far the channels of a pixel can add up to from a color for the pixel to still be considered
+ * that color, which leaves room for compression noise and gradients.
+ */
+export const COLOR_TOLERANCE = 48;
+
+/**
+ * Parses a CSS hex color, ex. "#36465d" or "#fff". The alpha channel of 4 and 8 digit colors is
+ * ignored, since the colors are used as opaque backgrounds.
+ *
+ * @param value A CSS color.
+ *
+ * @returns the channels of the color, or null if it isn't a hex color.
+ */
+export function parseHexColor(value: string): Rgb | null {
+  const match = value.trim().match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (!match) {
+    return null;
+  }
+  const digits = match[1] as string;
+  const hex = digits.length <= 4 ? digits.replace(/./g, (digit) => digit + digit) : digits;
+  return [0, 2, 4].map((offset) => parseInt(hex.slice(offset, offset + 2), 16)) as Rgb;
+}
+
+/**
+ * Composites an image over an opaque background color, for platforms that show transparent
+ * pixels as black.
+ *
+ * @param image The image to flatten.
+ * @param background The color behind the image.
+ *
+ * @returns an opaque copy of the image.
+ */
+export function flattenBitmap({ width, height, data }: Bitmap, background: Rgb): Bitmap {
+  const flattened = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = (data[i + 3] as number) / 255;
+    for (let channel = 0; channel < 3; channel++) {
+      flattened[i + channel] = Math.round(
+        (data[i + channel] as number) * alpha + (background[channel] as number) * (1 - alpha),
+      );
+    }
+    flattened[i + 3] = 255;
+  }
+  return { width, height, data: flattened };
+}
+
+/**
+ * Formats a color as a CSS hex color, ex. "#36465d".
+ *
+ * @param color The channels of the color.
+ *
+ * @returns the hex color.
+ */
+export function toHexColor([red, green, blue]: Rgb): string {
+  return `#${[red, green, blue].map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Measures how far the pixel at `offset` is from a color, as the sum of the differences of their
+ * channels.
+ *
+ * @param data The RGBA pixels of an image.
+ * @param offset The offset of the pixel in `data`.
+ * @param color The color to compare the pixel to.
+ *
+ * @returns the distance, from 0 for the same color to 1020.
+ */
+export function getColorDistance(data: Uint8Array, offset: number, color: Rgba): number {
+  let distance = 0;
+  for (let channel = 0; channel < 4; channel++) {
+    distance += Math.abs((data[offset + channel] as number) - color[channel]!);
+  }
+  return distance;
+}
+
+/**
+ * Finds the color along the edges of an image, which is the background of most icons.
+ *
+ * @param image The image.
+ *
+ * @returns the most common color of the pixels along the edges.
+ */
+export function findEdgeColor({ width, height, data }: Bitmap): Rgba {
+  const counts = new Map<number, number>();
+  let edgeOffset = 0;
+  let edgeCount = 0;
+  const count = (x: number, y: number) => {
+    const offset = (y * width + x) * 4;
+    const color = Buffer.from(data.buffer, data.byteOffset + offset, 4).readUInt32BE(0);
+    const colorCount = (counts.get(color) || 0) + 1;
+    counts.set(color, colorCount);
+    if (colorCount > edgeCount) {
+      edgeOffset = offset;
+      edgeCount = colorCount;
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    count(x, 0);
+    count(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    count(0, y);
+    count(width - 1, y);
+  }
+  return Array.from(data.subarray(edgeOffset, edgeOffset + 4)) as Rgba;
+}
+
+/**
+ * Finds the dominant color of an image, leaving out transparent pixels and pixels of the
+ * background color. Similar colors are grouped together, and the colors of the largest group are
+ * averaged.
+ *
+ * @param image The image.
+ * @param background The color of the background.
+ *
+ * @returns the dominant color, or null if the image only has its background.
+ */
+export function findDominantColor({ data }: Bitmap, background: Rgba): Rgb | null {
+  // Each group holds the number of pixels and the sums of their red, green and blue channels.
+  const groups = new Map<number, [number, number, number, number]>();
+  let dominant: [number, number, number, number] | undefined;
+  for (let offset = 0; offset < data.length; offset += 4) {
+    if (
+      (data[offset + 3] as number) < 128 ||
+      getColorDistance(data, offset, background) <= COLOR_TOLERANCE
+    ) {
+      continue;
+    }
+    const red = data[offset] as number;
+    const green = data[offset + 1] as number;
+    const blue = data[offset + 2] as number;
+    // Colors are grouped by the 4 most significant bits of each channel.
+    const key = ((red >> 4) << 8) | ((green >> 4) << 4) | (blue >> 4);
+    const group = groups.get(key) || [0, 0, 0, 0];
+    group[0] += 1;
+    group[1] += red;
+    group[2] += green;
+    group[3] += blue;
+    groups.set(key, group);
+    if (!dominant || group[0] > dominant[0]) {
+      dominant = group;
+    }
+  }
+  if (!dominant) {
+    return null;
+  }
+  const [pixels, red, green, blue] = dominant;
+  return [Math.round(red / pixels), Math.round(green / pixels), Math.round(blue / pixels)];
+}
+
+/**
+ * Picks the theme and background colors of an app from its icon. The edge color is what surrounds
+ * the icon, so it is the background color, and the dominant color is the theme color. Icons with
+ * transparent edges, or nothing but their background, use the one color they have for both.
+ *
+ * @param icon The icon of the app.
+ *
+ * @returns the hex colors, or null if the icon is transparent.
+ */
+export function findIconColors(
+  icon: Bitmap,
+): { themeColor: string; backgroundColor: string } | null {
+  const edge = findEdgeColor(icon);
+  const edgeColor = edge[3] >= 128 ? (edge.slice(0, 3) as Rgb) : null;
+  const dominantColor = findDominantColor(icon, edge) || edgeColor;
+  if (!dominantColor) {
+    return null;
+  }
+  return {
+    themeColor: toHexColor(dominantColor),
+    backgroundColor: toHexColor(edgeColor || dominantColor),
+  };
+}
@@ -0,0 +1,171 @@
+/** A function that reads a file, in the style of webpack's input file system. */
+type ReadFile = (
+  filePath: string,
+  callback: (error?: null | NodeJS.ErrnoException, contents?: string | Buffer) => void,
+) => void;
+
+/**
+ * Converts a character offset in `text` into a one-based line and column.
+ */
+function getLocation(text: string, position: number): { line: number; column: number } {
+  const lines = text.slice(0, position).split('\n');
+  return { line: lines.length, column: (lines[lines.length - 1] as string).length + 1 };
+}
+
+const JSON_WHITESPACE = /[ \t\n\r]*/y;
+const JSON_STRING = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const JSON_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const JSON_LITERAL = /true|false|null/y;
+
+/**
+ * Finds the first character that isn't valid JSON. Engines describe syntax errors in messages of
+ * their own, and not always with a position, so the text is scanned again to locate the error.
+ *
+ * @param text The contents of the file.
+ *
+ * @returns the position of the error, or -1 if the text is valid JSON.
+ */
+function findJsonSyntaxError(text: string): number {
+  let position = 0;
+  const match = (pattern: RegExp): boolean => {
+    pattern.lastIndex = position;
+    if (!pattern.test(text)) {
+      return false;
+    }
+    position = pattern.lastIndex;
+    return true;
+  };
+
+  // Reads the members of an object or the items of an array, after its opening bracket.
+  const list = (end: string, item: () => boolean): boolean => {
+    match(JSON_WHITESPACE);
+    if (text[position] === end) {
+      position += 1;
+      return true;
+    }
+    for (;;) {
+      if (!item()) {
+        return false;
+      }
+      match(JSON_WHITESPACE);
+      if (text[position] !== ',') {
+        break;
+      }
+      position += 1;
+    }
+    if (text[position] !== end) {
+      return false;
+    }
+    position += 1;
+    return true;
+  };
+
+  const value = (): boolean => {
+    match(JSON_WHITESPACE);
+    const start = text[position];
+    if (start === '{' || start === '[') {
+      position += 1;
+      return start === '['
+        ? list(']', value)
+        : list('}', () => {
+            match(JSON_WHITESPACE);
+            if (!match(JSON_STRING)) {
+              return false;
+            }
+            match(JSON_WHITESPACE);
+            if (text[position] !== ':') {
+              return false;
+            }
+            position += 1;
+            return value();
+          });
+    }
+    return match(JSON_STRING) || match(JSON_NUMBER) || match(JSON_LITERAL);
+  };
+
+  if (value() && match(JSON_WHITESPACE) && position === text.length) {
+    return -1;
+  }
+  return position;
+}
+
+/**
+ * Parses JSON, describing syntax errors by their file, line and column.
+ *
+ * @param text The contents of the file.
+ * @param filePath The path of the file, for error messages.
+ *
+ * @returns the parsed value.
+ */
+function parseJson(text: string, filePath: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const { message } = error as Error;
+    const position = findJsonSyntaxError(text);
+    // The scanner accepts the same grammar as JSON.parse, so it always finds the error.
+    /* istanbul ignore if */
+    if (position === -1) {
+      throw new Error(`${filePath}: ${message}`);
+    }
+    const { line, column } = getLocation(text, position);
+    throw new Error(`${filePath}:${line}:${column}: ${message}`);
+  }
+}
+
+/**
+ * Loads a JavaScript module, bypassing the require cache so that edits are picked up in watch
+ * mode. Syntax errors are described by their file and line.
+ *
+ * @param filePath The absolute path of the module.
+ *
+ * @returns the default export of the module, or its module.exports.
+ */
+function loadModule(filePath: string): unknown {
+  delete require.cache[require.resolve(filePath)];
+  let exports: { default?: unknown };
+  try {
+    exports = require(filePath);
+  } catch (error) {
+    const { message, stack = '' } = error as Error;
+    // Node prints the location of a syntax error as the first line of the stack.
+    const location = stack.split('\n')[0] || '';
+    throw new Error(location.startsWith(filePath) ? `${location}: ${message}` : message);
+  }
+  return exports && exports.default !== undefined ? exports.default : exports;
+}
+
+/**
+ * Reads manifest content from a JSON file, or from a JavaScript module that exports it.
+ *
+ * @param readFile The function to read JSON files with, usually webpack's input file system.
+ * @param filePath The absolute path of the file.
+ *
+ * @returns the content of the file.
+ */
+export async function readContentFile(readFile: ReadFile, filePath: string): Promise<object> {
+  let content: unknown;
+  if (/\.mjs$/.test(filePath)) {
+    throw new Error(
+      `${filePath} is an ES module, which can't be loaded synchronously. Use a JSON file or a CommonJS module.`,
+    );
+  } else if (/\.c?js$/.test(filePath)) {
+    content = loadModule(filePath);
+  } else {
+    const text = await new Promise<string>((resolve, reject) => {
+      readFile(filePath, (error, contents) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(String(contents));
+        }
+      });
+    });
+    content = parseJson(text, filePath);
+  }
+
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    throw new Error(`${filePath} must contain an object of manifest members.`);
+  }
+  return content;
+}
@@ -0,0 +1,55 @@
+import { AsyncSeriesHook, AsyncSeriesWaterfallHook } from 'tapable';
+import type { Compilation } from 'webpack';
+import type { ImageResource, WebAppManifest } from 'web-app-manifest';
+import type { PrecacheEntry } from './precache';
+
+/** The hooks other plugins can tap into to extend the manifests of a compilation. */
+export interface WebAppManifestPluginHooks {
+  /** Called before icons are collected from the webpack assets, with the names of the assets that will be checked. Listeners can change the asset names. */
+  beforeIconCollection: AsyncSeriesWaterfallHook<[{ chunkName: string; assetNames: string[] }]>;
+  /** Called once the icons have been collected and generated. Listeners can change the icons. */
+  afterIconCollection: AsyncSeriesWaterfallHook<[{ chunkName: string; icons: ImageResource[] }]>;
+  /** Called for each manifest before it is validated and serialized. Listeners can change the manifest. */
+  beforeEmit: AsyncSeriesWaterfallHook<
+    [{ chunkName: string; locale?: string | undefined; manifest: WebAppManifest }]
+  >;
+  /** Called for each manifest once it has been emitted. */
+  afterEmit: AsyncSeriesHook<
+    [
+      {
+        chunkName: string;
+        locale?: string | undefined;
+        filename: string;
+        url: string;
+        manifest: WebAppManifest;
+      },
+    ]
+  >;
+  /** Called with the precache list of each app before it is emitted, when the `precache` option is set. Listeners can change the entries, or merge them into the precache manifest of a service worker. */
+  precacheEntries: AsyncSeriesWaterfallHook<[{ chunkName: string; entries: PrecacheEntry[] }]>;
+}
+
+const compilationHooks = new WeakMap<Compilation, WebAppManifestPluginHooks>();
+
+/**
+ * Returns the hooks of a compilation, creating them the first time they are requested. This works
+ * the same way as the hooks of html-webpack-plugin.
+ *
+ * @param compilation The webpack compilation.
+ *
+ * @returns the hooks of the compilation.
+ */
+export function getHooks(compilation: Compilation): WebAppManifestPluginHooks {
+  let hooks = compilationHooks.get(compilation);
+  if (!hooks) {
+    hooks = {
+      beforeIconCollection: new AsyncSeriesWaterfallHook(['data']),
+      afterIconCollection: new AsyncSeriesWaterfallHook(['data']),
+      beforeEmit: new AsyncSeriesWaterfallHook(['data']),
+      afterEmit: new AsyncSeriesHook(['data']),
+      precacheEntries: new AsyncSeriesWaterfallHook(['data']),
+    };
+    compilationHooks.set(compilation, hooks);
+  }
+  return hooks;
+}
@@ -0,0 +1,97 @@
+import type { Compilation, Compiler } from 'webpack';
+import type { WebAppManifest } from 'web-app-manifest';
+import type { SplashScreenLink } from './splash';
+
+/** The subset of html-webpack-plugin's tag object that this plugin creates. */
+export interface HtmlTagObject {
+  tagName: string;
+  voidTag: boolean;
+  attributes: Record<string, string | boolean | undefined>;
+  meta: { plugin?: string };
+}
+
+/** The subset of html-webpack-plugin's hooks and static API that this plugin uses. */
+interface HtmlWebpackPluginClass {
+  getHooks(compilation: Compilation): {
+    alterAssetTagGroups: {
+      tapPromise(
+        name: string,
+        callback: <T extends { headTags: HtmlTagObject[]; publicPath: string }>(
+          data: T,
+        ) => Promise<T>,
+      ): void;
+    };
+  };
+}
+
+/**
+ * Finds the html-webpack-plugin class among the plugins the compiler was configured with.
+ *
+ * @param compiler The webpack compiler.
+ *
+ * @returns the html-webpack-plugin class, or undefined if the compiler isn't using it.
+ */
+export function findHtmlWebpackPlugin(compiler: Compiler): HtmlWebpackPluginClass | undefined {
+  return (compiler.options.plugins || [])
+    .map((plugin) => plugin && (plugin.constructor as unknown))
+    .find(
+      (constructor): constructor is HtmlWebpackPluginClass =>
+        typeof constructor === 'function' &&
+        constructor.name === 'HtmlWebpackPlugin' &&
+        typeof (constructor as Partial<HtmlWebpackPluginClass>).getHooks === 'function',
+    );
+}
+
+/**
+ * Creates an html-webpack-plugin tag object for a void element.
+ */
+function createVoidTag(tagName: string, attributes: HtmlTagObject['attributes']): HtmlTagObject {
+  return {
+    tagName,
+    voidTag: true,
+    attributes,
+    meta: { plugin: 'webpack-web-app-manifest-plugin' },
+  };
+}
+
+/**
+ * Creates the head tags that link a page to its web app manifest: the manifest itself, the theme
+ * color, an Apple touch icon for each PNG icon that is meant to be shown as is, and the iOS splash
+ * screens.
+ *
+ * @param url The URL of the manifest.
+ * @param manifest The manifest.
+ * @param getPageUrl A function that converts the URL of the manifest or of one of its icons into a
+ *   URL that can be used from the page.
+ * @param splashScreens The links to the splash screens.
+ *
+ * @returns the tags to add to the head of the page.
+ */
+export function createHeadTags(
+  url: string,
+  manifest: WebAppManifest,
+  getPageUrl: (url: string) => string,
+  splashScreens: SplashScreenLink[] = [],
+): HtmlTagObject[] {
+  const tags = [createVoidTag('link', { rel: 'manifest', href: getPageUrl(url) })];
+
+  if (manifest.theme_color) {
+    tags.push(createVoidTag('meta', { name: 'theme-color', content: manifest.theme_color }));
+  }
+
+  // iOS doesn't mask or tint touch icons, so maskable and monochrome icons would look wrong.
+  (manifest.icons || [])
+    .filter(
+      ({ type, purpose }) =>
+        type === 'image/png' && (!purpose || purpose.split(' ').includes('any')),
+    )
+    .forEach(({ src, sizes }) => {
+      tags.push(createVoidTag('link', { rel: 'apple-touch-icon', sizes, href: getPageUrl(src) }));
+    });
+
+  splashScreens.forEach(({ rel, href, media }) => {
+    tags.push(createVoidTag('link', { rel, media, href: getPageUrl(href) }));
+  });
+
+  return tags;
+}
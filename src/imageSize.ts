@@ -0,0 +1,175 @@
+export interface Dimensions {
+  width: number;
+  height: number;
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Reads the dimensions of a PNG image from its IHDR chunk, which is always the first chunk.
+ *
+ * @param buffer The contents of a PNG file.
+ *
+ * @returns the dimensions of the image, or null if the buffer is not a PNG.
+ */
+function readPngSize(buffer: Buffer): Dimensions | null {
+  if (
+    buffer.length < 24 ||
+    !buffer.subarray(0, 8).equals(PNG_SIGNATURE) ||
+    buffer.toString('latin1', 12, 16) !== 'IHDR'
+  ) {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * Reads the dimensions of a GIF image from its logical screen descriptor.
+ *
+ * @param buffer The contents of a GIF file.
+ *
+ * @returns the dimensions of the image, or null if the buffer is not a GIF.
+ */
+function readGifSize(buffer: Buffer): Dimensions | null {
+  const signature = buffer.toString('latin1', 0, 6);
+  if (buffer.length < 10 || (signature !== 'GIF87a' && signature !== 'GIF89a')) {
+    return null;
+  }
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+/**
+ * Reads the dimensions of a WebP image from its first chunk, which is one of VP8 (lossy), VP8L
+ * (lossless) or VP8X (extended).
+ *
+ * @param buffer The contents of a WebP file.
+ *
+ * @returns the dimensions of the image, or null if the buffer is not a WebP image.
+ */
+function readWebpSize(buffer: Buffer): Dimensions | null {
+  if (
+    buffer.length < 30 ||
+    buffer.toString('latin1', 0, 4) !== 'RIFF' ||
+    buffer.toString('latin1', 8, 12) !== 'WEBP'
+  ) {
+    return null;
+  }
+
+  switch (buffer.toString('latin1', 12, 16)) {
+    case 'VP8 ':
+      // Frame tag (3 bytes) and start code (3 bytes) precede two 14-bit dimensions.
+      return {
+        width: buffer.readUInt16LE(26) & 0x3fff,
+        height: buffer.readUInt16LE(28) & 0x3fff,
+      };
+    case 'VP8L': {
+      // A signature byte precedes two 14-bit dimensions, each stored minus one.
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      // The canvas dimensions are 24-bit values, each stored minus one.
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads the dimensions of a JPEG image by walking its markers until it finds a start of frame.
+ *
+ * @param buffer The contents of a JPEG file.
+ *
+ * @returns the dimensions of the image, or null if the buffer is not a JPEG or has no frame.
+ */
+function readJpegSize(buffer: Buffer): Dimensions | null {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1] as number;
+    // Markers may be preceded by any number of 0xff fill bytes.
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    // SOF0 through SOF15, except DHT (0xc4), JPG (0xc8) and DAC (0xcc), carry the frame size.
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Reads the dimensions of an AVIF image from its image spatial extents ("ispe") property, which
+ * describes the size of the primary image, since it comes before those of any thumbnails.
+ *
+ * @param buffer The contents of an AVIF file.
+ *
+ * @returns the dimensions of the image, or null if the buffer is not an AVIF image.
+ */
+function readAvifSize(buffer: Buffer): Dimensions | null {
+  const brand = buffer.toString('latin1', 8, 12);
+  if (buffer.toString('latin1', 4, 8) !== 'ftyp' || (brand !== 'avif' && brand !== 'avis')) {
+    return null;
+  }
+  // The box type is followed by 4 bytes of version and flags, then the width and height.
+  const offset = buffer.indexOf('ispe', 12, 'latin1');
+  if (offset === -1 || offset + 16 > buffer.length) {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(offset + 8), height: buffer.readUInt32BE(offset + 12) };
+}
+
+/**
+ * Reads the dimensions of the largest image in an ICO file from its directory.
+ *
+ * @param buffer The contents of an ICO file.
+ *
+ * @returns the dimensions of the largest image, or null if the buffer is not an ICO file.
+ */
+function readIcoSize(buffer: Buffer): Dimensions | null {
+  if (buffer.length < 6 || buffer.readUInt16LE(0) !== 0 || buffer.readUInt16LE(2) !== 1) {
+    return null;
+  }
+  const count = buffer.readUInt16LE(4);
+  if (!count || buffer.length < 6 + count * 16) {
+    return null;
+  }
+
+  let largest: Dimensions = { width: 0, height: 0 };
+  for (let offset = 6; offset < 6 + count * 16; offset += 16) {
+    // A width or height of 0 means 256 pixels.
+    const width = buffer[offset] || 256;
+    const height = buffer[offset + 1] || 256;
+    if (width * height > largest.width * largest.height) {
+      largest = { width, height };
+    }
+  }
+  return largest;
+}
+
+/**
+ * Reads the pixel dimensions of a PNG, JPEG, WebP, GIF, AVIF or ICO image from its file header.
+ *
+ * @param buffer The contents of an image file.
+ *
+ * @returns the dimensions of the image, or null if the format is not recognized.
+ */
+export function readImageSize(buffer: Buffer): Dimensions | null {
+  return (
+    readPngSize(buffer) ||
+    readJpegSize(buffer) ||
+    readWebpSize(buffer) ||
+    readGifSize(buffer) ||
+    readAvifSize(buffer) ||
+    readIcoSize(buffer)
+  );
+}
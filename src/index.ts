@@ -1,5 +1,49 @@
-import type { Compiler } from 'webpack';
-import type { WebAppManifest } from 'web-app-manifest';
+import fs from 'fs';
+import path from 'path';
+import { URL } from 'url';
+import type {
+  AssetInfo,
+  Compilation,
+  Compiler,
+  Configuration,
+  WebpackError,
+  sources,
+} from 'webpack';
+import type { ImageResource, WebAppManifest } from 'web-app-manifest';
+import { readImageSize } from './imageSize';
+import type { Dimensions } from './imageSize';
+import { getImageMimeType } from './mimeTypes';
+import { decodePng, encodePng } from './png';
+import type { Bitmap } from './png';
+import { resizeBitmapToSquare } from './resize';
+import { readContentFile } from './contentFile';
+import { findIconColors, flattenBitmap, parseHexColor } from './color';
+import { APPLE_TOUCH_ICON_SIZE, TILES, createBrowserconfig, encodeIco } from './legacyIcons';
+import type { LegacyIconsConfig } from './legacyIcons';
+import {
+  DEFAULT_SPLASH_SCREEN_DEVICES,
+  createSplashScreen,
+  getSplashScreenMedia,
+  getSplashScreenOrientations,
+} from './splash';
+import type { SplashScreenLink, SplashScreensConfig } from './splash';
+import { createPrecacheEntry } from './precache';
+import type { PrecacheConfig } from './precache';
+import { getHooks } from './hooks';
+import type { WebAppManifestPluginHooks } from './hooks';
+import { createHeadTags, findHtmlWebpackPlugin } from './html';
+import { resolveImageReferences } from './references';
+import type { AssetImageResource, ManifestWithReferences } from './references';
+import {
+  RUNTIME_PATH,
+  RUNTIME_PLACEHOLDER,
+  RUNTIME_REQUEST,
+  getRuntimeData,
+  serializeRuntimeData,
+} from './runtimeData';
+import { ICON_PURPOSES, validateManifest } from './validate';
+import { auditManifest } from './audit';
+import { SAFE_ZONE_TOLERANCE, analyzeSafeZone } from './safeZone';
 
 /**
  * Strips trailing slashes from `path`.
@@ -31,176 +75,1623 @@ function normalizePath(path: string): string {
   return trimSlashRight(trimSlashLeft(path));
 }
 
+/**
+ * The default naming convention of icons, manifest/icon_[size]-[descriptor].[extension], where
+ * [size] is the width and height of a square icon, or "any" for a vector icon.
+ */
+const ICON_FILE_NAME = /manifest\/icon_(\d+|any)-([\w-]*)\.(png|jpeg|jpg|gif|webp|avif|svg|ico)$/;
+
+/** The size of an icon, or "any" for a vector icon that can be scaled to any size. */
+type IconSize = Dimensions | 'any';
+
 /**
  * Determines if the asset is supposed to be included in the list of web app manifest icons. By
  * default, the file will be included if it is of the format
- * manifest/icon_[size]-[descriptor].(png|jpeg|jpg).
+ * manifest/icon_[size]-[descriptor].(png|jpeg|jpg|gif|webp|avif|svg|ico).
  *
  * @param fileName The name of a file that is a webpack asset.
  *
  * @returns true, if the filename is to be included in the list of web app manifest icons.
  */
-const defaultIsAssetManifestIcon = (fileName: string): boolean =>
-  !!fileName.match(/manifest\/icon_\d+-\w*\.(png|jpeg|jpg)$/);
+const defaultIsAssetManifestIcon = (fileName: string): boolean => ICON_FILE_NAME.test(fileName);
 
 /**
- * Determines the dimensions of the image described by fileName. By default, files are assumed to
- * be square and have the format manifest/icon_[size]-[descriptor].(png|jpeg|jpg). This function
- * will return whatever is matched in the [size] portion as both the width and height.
+ * Reads the dimensions encoded in a file name of the format
+ * manifest/icon_[size]-[descriptor].[extension]. Files named this way are assumed to be square,
+ * so whatever is matched in the [size] portion is returned as both the width and height.
  *
  * @param fileName The name of a file that is a webpack asset.
  *
- * @returns an object with width and height keys that describe the size of the image.
+ * @returns an object with width and height keys, "any" for a vector icon, or null if the file name
+ * does not contain a size.
  */
-const defaultGetIconSize = (fileName: string): Dimensions => {
-  const match = fileName.match(/manifest\/icon_(\d+)-\w*\.(png|jpeg|jpg)$/);
+const getIconSizeFromFileName = (fileName: string): IconSize | null => {
+  const match = fileName.match(ICON_FILE_NAME);
+  if (match && match[1] === 'any') {
+    return 'any';
+  }
   const dimension = match && match[1] && parseInt(match[1], 10);
-  /* istanbul ignore if */
-  if (!dimension || Number.isNaN(dimension)) {
-    throw new Error(
-      `Invalid icon dimension found ${JSON.stringify(dimension)} in filename ${JSON.stringify(
-        fileName,
-      )}`,
-    );
+  return dimension ? { width: dimension, height: dimension } : null;
+};
+
+/**
+ * Determines the dimensions of the image described by fileName. By default, the dimensions are read
+ * from the PNG, JPEG, WebP, GIF, AVIF or ICO header of the asset. If the header cannot be read, as
+ * for SVG icons, files are assumed to be square and have the format
+ * manifest/icon_[size]-[descriptor].[extension], where [size] may be "any".
+ *
+ * @param fileName The name of a file that is a webpack asset.
+ * @param source The contents of the webpack asset.
+ *
+ * @returns an object with width and height keys that describe the size of the image, or "any".
+ */
+const defaultGetIconSize = (fileName: string, source: Buffer): IconSize => {
+  const size = readImageSize(source) || getIconSizeFromFileName(fileName);
+  if (!size) {
+    throw new Error(`Unable to determine the icon dimensions of ${JSON.stringify(fileName)}`);
   }
-  return { width: dimension, height: dimension };
+  return size;
 };
 
 /**
- * Determines the mime type of the image described by fileName. By default, image files are assumed
- * to have a mime type of the format "image/[extension]", where [extension] is the file extension
- * of the image file.
+ * Determines the mime type of the image described by fileName from its file extension, ex.
+ * "image/jpeg" for manifest/icon_192-photo.jpg.
  *
  * @param fileName The name of a file that is a webpack asset.
  *
  * @returns the mime type of the image, as inferred by the file extension.
  */
 const defaultGetIconType = (fileName: string): `image/${string}` => {
-  const match = fileName.match(/manifest\/icon_(\d+)-\w*\.(png|jpeg|jpg)$/);
-  const extension = match && match[2];
-  /* istanbul ignore if */
-  if (!extension) {
-    throw new Error(
-      `Invalid icon extension found ${JSON.stringify(extension)} in filename ${JSON.stringify(
-        fileName,
-      )}`,
-    );
+  const type = getImageMimeType(fileName);
+  if (!type) {
+    throw new Error(`Unknown icon extension in filename ${JSON.stringify(fileName)}`);
+  }
+  return type;
+};
+
+/** The screenshot form factors defined by the web app manifest specification. */
+const FORM_FACTORS = ['wide', 'narrow'] as const;
+
+type FormFactor = typeof FORM_FACTORS[number];
+
+/** A screenshot, with the members the web-app-manifest types don't know about yet. */
+type Screenshot = ImageResource & { form_factor?: FormFactor; label?: string };
+
+/**
+ * Determines if the asset is supposed to be included in the list of web app manifest screenshots.
+ * By default, the file will be included if it is of the format
+ * manifest/screenshot_[width]x[height]-[descriptor].(png|jpeg|jpg|webp).
+ *
+ * @param fileName The name of a file that is a webpack asset.
+ *
+ * @returns true, if the filename is to be included in the list of web app manifest screenshots.
+ */
+const defaultIsAssetManifestScreenshot = (fileName: string): boolean =>
+  !!fileName.match(/manifest\/screenshot_\d+x\d+-[\w-]*\.(png|jpeg|jpg|webp)$/);
+
+/**
+ * Reads the dimensions encoded in a file name of the format
+ * manifest/screenshot_[width]x[height]-[descriptor].(png|jpeg|jpg|webp).
+ *
+ * @param fileName The name of a file that is a webpack asset.
+ *
+ * @returns an object with width and height keys, or null if the file name does not contain a size.
+ */
+const getScreenshotSizeFromFileName = (fileName: string): Dimensions | null => {
+  const match = fileName.match(/manifest\/screenshot_(\d+)x(\d+)-[\w-]*\.(png|jpeg|jpg|webp)$/);
+  return match && match[1] && match[2]
+    ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) }
+    : null;
+};
+
+/**
+ * Determines the dimensions of the screenshot described by fileName. By default, the dimensions
+ * are read from the image header, falling back to the [width]x[height] portion of files of the
+ * format manifest/screenshot_[width]x[height]-[descriptor].(png|jpeg|jpg|webp).
+ *
+ * @param fileName The name of a file that is a webpack asset.
+ * @param source The contents of the webpack asset.
+ *
+ * @returns an object with width and height keys that describe the size of the image.
+ */
+const defaultGetScreenshotSize = (fileName: string, source: Buffer): Dimensions => {
+  const size = readImageSize(source) || getScreenshotSizeFromFileName(fileName);
+  if (!size) {
+    throw new Error(`Unable to determine the screenshot dimensions of ${JSON.stringify(fileName)}`);
   }
-  return `image/${extension}`;
+  return size;
 };
 
+/**
+ * Determines the mime type of the screenshot described by fileName, in the same way as
+ * `defaultGetIconType`.
+ *
+ * @param fileName The name of a file that is a webpack asset.
+ *
+ * @returns the mime type of the image, as inferred by the file extension.
+ */
+const defaultGetScreenshotType = (fileName: string): `image/${string}` => {
+  const type = getImageMimeType(fileName);
+  if (!type) {
+    throw new Error(`Unknown screenshot extension in filename ${JSON.stringify(fileName)}`);
+  }
+  return type;
+};
+
+/**
+ * Determines the form factor of the screenshot described by fileName. By default, the word "wide"
+ * or "narrow" in the [descriptor] portion of files of the format
+ * manifest/screenshot_[width]x[height]-[descriptor].(png|jpeg|jpg|webp) is the form factor.
+ *
+ * @param fileName The name of a file that is a webpack asset.
+ *
+ * @returns "wide", "narrow", or undefined if the file name does not describe a form factor.
+ */
+const defaultGetScreenshotFormFactor = (fileName: string): FormFactor | undefined => {
+  const match = fileName.match(/manifest\/screenshot_\d+x\d+-([\w-]*)\.(png|jpeg|jpg|webp)$/);
+  const words = match && match[1] ? match[1].split(/[-_]/) : [];
+  return FORM_FACTORS.find((formFactor) => words.includes(formFactor));
+};
+
+/**
+ * Resizes a source image into square PNG icons.
+ *
+ * @param source The contents of a PNG file.
+ * @param sizes The width and height of each icon to generate.
+ *
+ * @returns the size and PNG contents of each generated icon.
+ */
+function generateIcons(source: Buffer, sizes: number[]): { size: number; png: Buffer }[] {
+  const image = decodePng(source);
+  return sizes.map((size) => ({ size, png: encodePng(resizeBitmapToSquare(image, size)) }));
+}
+
+/**
+ * Determines the purpose of the icon described by fileName. By default, the [descriptor] portion of
+ * files of the format manifest/icon_[size]-[descriptor].[extension] is split on dashes and
+ * underscores, and any of the words "any", "maskable" or "monochrome" in it become the purpose.
+ * For example, manifest/icon_512-maskable-monochrome.png is used for both purposes.
+ *
+ * @param fileName The name of a file that is a webpack asset.
+ *
+ * @returns a space separated list of purposes, or undefined if the file name does not describe one.
+ */
+const defaultGetIconPurpose = (fileName: string): string | undefined => {
+  const match = fileName.match(ICON_FILE_NAME);
+  const words = match && match[2] ? match[2].split(/[-_]/) : [];
+  const purposes = ICON_PURPOSES.filter((purpose) => words.includes(purpose));
+  return purposes.length ? purposes.join(' ') : undefined;
+};
+
+/** Manifest members that replace the default content in the manifest for one locale. */
+type LocalizedContent = Partial<ManifestWithReferences>;
+
+/** The content of the manifest, with optional overrides for each locale. */
+type Content = ManifestWithReferences & {
+  /** Overrides of the content, keyed by locale. A manifest is emitted for each locale, with its `lang` defaulting to the locale. */
+  locales?: Record<string, LocalizedContent>;
+};
+
+/** The information available to a `content` function. */
+interface ContentContext {
+  compilation: Compilation;
+  /** The webpack mode, ex. "production". */
+  mode: Configuration['mode'];
+  /** The resolved public path, or 'auto' if it is determined at runtime. */
+  publicPath: string;
+  /** The icons that will be listed in the manifest. */
+  icons: ImageResource[];
+}
+
+/**
+ * Merges two sets of manifest content. Members of `overrides` replace those of `content`, except
+ * for `locales`, which are merged locale by locale.
+ *
+ * @param content The base content.
+ * @param overrides The content that takes precedence.
+ *
+ * @returns the merged content.
+ */
+function mergeContent(content: Partial<Content>, overrides: Partial<Content>): Content {
+  const locales = { ...content.locales };
+  Object.entries(overrides.locales || {}).forEach(([locale, localeOverrides]) => {
+    locales[locale] = { ...locales[locale], ...localeOverrides };
+  });
+  return {
+    ...content,
+    ...overrides,
+    ...(content.locales || overrides.locales ? { locales } : {}),
+  };
+}
+
 interface Config {
-  /** Represents an object that will be validated and converted to JSON as the contents of the manifest file. */
-  content: Omit<WebAppManifest, 'icons'>;
+  /** Represents an object that will be validated and converted to JSON as the contents of the manifest file, or a function of the compilation that returns it or a promise of it. */
+  content?:
+    | Partial<Content>
+    | ((context: ContentContext) => Partial<Content> | Promise<Partial<Content>>);
+  /** The path of a JSON file, or a JavaScript module, relative to the webpack context, with manifest content that `content` is merged over. The file is watched for changes. */
+  contentFile?: string;
   /** An output path where the manifest file should be written. */
   destination: string;
+  /** The name of the manifest file within `destination`, with the `[name]`, `[locale]`, `[contenthash]` and `[contenthash:N]` placeholders. Defaults to '[name]-[contenthash:8].json'. */
+  filename?: string;
   /** A function to determine if a webpack asset should be included as an icon in the web app manifest. The function accepts a `filename` parameter and returns true or false. */
   isAssetManifestIcon?: (filename: string) => boolean;
-  /** A function to determine the icon size of any asset that passes the check `isAssetManifestIcon()`. The function accepts a `fileName` parameter and returns an object `{ width, height }`. */
-  getIconSize?: (filename: string) => Dimensions;
+  /** A function to determine the icon size of any asset that passes the check `isAssetManifestIcon()`. The function accepts `fileName` and `source` (a Buffer of the asset contents) parameters and returns an object `{ width, height }`, or "any" for a vector icon. */
+  getIconSize?: (filename: string, source: Buffer) => IconSize;
   /** A function to determine the type of any asset that passes the check `isAssetManifestIcon()`. The function accepts a `fileName` parameter and returns a string describing the mime type of the asset, ex. "image/png". */
   getIconType?: (filename: string) => string;
+  /** A function to determine the purpose of any asset that passes the check `isAssetManifestIcon()`. The function accepts a `fileName` parameter and returns a space separated list of purposes, ex. "maskable monochrome", or undefined to leave the purpose out. */
+  getIconPurpose?: (filename: string) => string | undefined;
+  /** A function to determine if a webpack asset should be included as a screenshot in the web app manifest. The function accepts a `filename` parameter and returns true or false. */
+  isAssetManifestScreenshot?: (filename: string) => boolean;
+  /** A function to determine the size of any asset that passes the check `isAssetManifestScreenshot()`. The function accepts `fileName` and `source` (a Buffer of the asset contents) parameters and returns an object `{ width, height }`. */
+  getScreenshotSize?: (filename: string, source: Buffer) => Dimensions;
+  /** A function to determine the type of any asset that passes the check `isAssetManifestScreenshot()`. The function accepts a `fileName` parameter and returns a string describing the mime type of the asset, ex. "image/png". */
+  getScreenshotType?: (filename: string) => string;
+  /** A function to determine the form factor of any asset that passes the check `isAssetManifestScreenshot()`. The function accepts a `fileName` parameter and returns "wide", "narrow" or undefined. */
+  getScreenshotFormFactor?: (filename: string) => FormFactor | undefined;
+  /** A function to determine the accessible label of any asset that passes the check `isAssetManifestScreenshot()`. The function accepts a `fileName` parameter and returns a string or undefined. */
+  getScreenshotLabel?: (filename: string) => string | undefined;
+  /** If true, problems found while validating the manifest are reported as compilation errors instead of warnings. */
+  strict?: boolean;
+  /** If true, each manifest is audited against the rules browsers follow before offering to install an app, and findings are reported as compilation warnings. */
+  audit?: boolean;
+  /** If true, audit findings that stop browsers from installing the app are reported as compilation errors instead of warnings. Implies `audit`. */
+  failOnAuditErrors?: boolean;
+  /** If true, adds `<link rel="manifest">`, `<meta name="theme-color">` and `<link rel="apple-touch-icon">` tags to the pages generated by html-webpack-plugin. */
+  htmlWebpackPlugin?: boolean;
+  /** The path of a high resolution PNG, relative to the webpack context, that is resized into square icons for each of `sizes`. */
+  source?: string;
+  /** The width and height of each icon generated from `source`. Defaults to 192, 256, 384 and 512. */
+  sizes?: number[];
+  /** If true, or an object of options, favicon.ico, apple-touch-icon.png and browserconfig.xml are generated from the largest PNG icon. */
+  legacyIcons?: boolean | LegacyIconsConfig;
+  /** If true, or an object of options, iOS splash screens are generated from `background_color` and the largest PNG icon. */
+  splashScreens?: boolean | SplashScreensConfig;
+  /** If true, or an object of options, a Workbox-compatible list of the manifests and their icons is emitted for service workers to precache. */
+  precache?: boolean | PrecacheConfig;
+  /** If true, `theme_color` and `background_color` are filled in, unless the content sets them, with the dominant and edge colors of the largest PNG icon. */
+  autoColors?: boolean;
+  /** The name of the chunk the manifest is added to, and the prefix of the chunks of localized manifests. Defaults to 'app-manifest'. */
+  chunkName?: string;
+  /** Emits a manifest for each app, instead of one manifest. Options that an app leaves out default to the options of the plugin. */
+  apps?: AppConfig[];
+}
+
+/** The options of one of the manifests emitted with `apps`. */
+interface AppConfig
+  extends Partial<
+    Pick<
+      Config,
+      | 'content'
+      | 'contentFile'
+      | 'destination'
+      | 'filename'
+      | 'isAssetManifestIcon'
+      | 'isAssetManifestScreenshot'
+      | 'source'
+      | 'sizes'
+      | 'legacyIcons'
+      | 'splashScreens'
+      | 'precache'
+      | 'autoColors'
+    >
+  > {
+  /** The name of the chunk the manifest of this app is added to, which must be unique. */
+  chunkName: string;
+  /** The navigation scope of the app, which is added to the manifest as `scope` unless its content sets one. */
+  scope?: string;
+}
+
+/** An app with the options it leaves out taken from the plugin. */
+type App = AppConfig &
+  Required<
+    Pick<
+      AppConfig,
+      | 'content'
+      | 'destination'
+      | 'filename'
+      | 'isAssetManifestIcon'
+      | 'isAssetManifestScreenshot'
+      | 'sizes'
+    >
+  >;
+
+/** A manifest that has been emitted as an asset. */
+interface EmittedManifest {
+  /** The name of the chunk the manifest was added to. */
+  chunkName: string;
+  /** The locale of the manifest, or undefined for the default manifest. */
+  locale?: string | undefined;
+  filename: string;
+  /** The URL of the manifest, including the public path, or relative to its own directory with an 'auto' public path. */
+  url: string;
+  manifest: WebAppManifest;
+  /** The links to the splash screens generated for the default manifest. */
+  splashScreens: SplashScreenLink[];
+}
+
+/** An error or warning reported while building the manifests of an app. */
+interface BuildProblem {
+  message: string;
+  file?: string | undefined;
+}
+
+/**
+ * Everything building the manifests of an app added to the compilation, so that a cached build can
+ * add it to the next compilation without building them again.
+ */
+interface ManifestBuild {
+  assets: { name: string; source: sources.Source; info: AssetInfo }[];
+  chunks: { name: string; files: string[]; auxiliaryFiles: string[] }[];
+  errors: BuildProblem[];
+  warnings: BuildProblem[];
+  manifests: EmittedManifest[];
+}
+
+/** An image generated by the plugin and kept in webpack's cache, with the hash it is named by. */
+interface GeneratedImage {
+  digest: string;
+  source: sources.Source;
+}
+
+/** An icon that will be listed in the manifest, before its URL has been determined. */
+interface IconAsset {
+  fileName: string;
+  sizes: string;
+  type: string;
+  purpose?: string | undefined;
+}
+
+/**
+ * Compares two strings by their UTF-16 code units, which unlike `localeCompare()` doesn't depend
+ * on the locale of the machine running webpack.
+ */
+function compareStrings(a: string, b: string): number {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Calculates the area of an icon from its `sizes`, with sizes other than WIDTHxHEIGHT sorting last.
+ */
+function getIconArea(sizes: string): number {
+  const match = sizes.match(/^(\d+)x(\d+)$/);
+  return match ? Number(match[1]) * Number(match[2]) : Infinity;
 }
 
-interface Dimensions {
-  width: number;
-  height: number;
+/**
+ * Compares icons by purpose, then area, then type, and finally file name, so that the order of the
+ * icons in the manifest doesn't depend on the order webpack built their modules in.
+ *
+ * @returns a negative number if `a` comes first, a positive number if `b` comes first.
+ */
+function compareIcons(a: IconAsset, b: IconAsset): number {
+  return (
+    compareStrings(a.purpose || '', b.purpose || '') ||
+    getIconArea(a.sizes) - getIconArea(b.sizes) ||
+    compareStrings(a.type, b.type) ||
+    compareStrings(a.fileName, b.fileName)
+  );
+}
+
+/**
+ * Creates the info of an asset named with a hash of its content, which tells plugins that compress
+ * assets or set cache headers that it can be cached forever.
+ */
+function getHashedAssetInfo(contenthash: string): AssetInfo {
+  return { immutable: true, contenthash };
 }
 
 export = class WebAppManifestPlugin {
   name: string;
-  content: WebAppManifest;
+  content: NonNullable<Config['content']>;
+  contentFile: Config['contentFile'];
   destination: string;
+  filename: NonNullable<Config['filename']>;
   isAssetManifestIcon: NonNullable<Config['isAssetManifestIcon']>;
   getIconSize: NonNullable<Config['getIconSize']>;
   getIconType: NonNullable<Config['getIconType']>;
+  getIconPurpose: NonNullable<Config['getIconPurpose']>;
+  isAssetManifestScreenshot: NonNullable<Config['isAssetManifestScreenshot']>;
+  getScreenshotSize: NonNullable<Config['getScreenshotSize']>;
+  getScreenshotType: NonNullable<Config['getScreenshotType']>;
+  getScreenshotFormFactor: NonNullable<Config['getScreenshotFormFactor']>;
+  getScreenshotLabel: NonNullable<Config['getScreenshotLabel']>;
+  source: Config['source'];
+  sizes: NonNullable<Config['sizes']>;
+  legacyIcons: NonNullable<Config['legacyIcons']>;
+  splashScreens: NonNullable<Config['splashScreens']>;
+  precache: NonNullable<Config['precache']>;
+  autoColors: boolean;
+  strict: boolean;
+  audit: boolean;
+  failOnAuditErrors: boolean;
+  htmlWebpackPlugin: boolean;
+  chunkName: string;
+  apps: Config['apps'];
+
+  /**
+   * Returns the hooks other plugins can tap into to extend the manifests of `compilation`.
+   *
+   * @param compilation The webpack compilation.
+   *
+   * @returns the hooks of the compilation.
+   */
+  static getHooks(compilation: Compilation): WebAppManifestPluginHooks {
+    return getHooks(compilation);
+  }
 
   /**
    * @param Configuration object
    */
   constructor({
-    content,
+    content = {},
+    contentFile,
     destination,
+    filename = '[name]-[contenthash:8].json',
     isAssetManifestIcon = defaultIsAssetManifestIcon,
     getIconSize = defaultGetIconSize,
     getIconType = defaultGetIconType,
+    getIconPurpose = defaultGetIconPurpose,
+    isAssetManifestScreenshot = defaultIsAssetManifestScreenshot,
+    getScreenshotSize = defaultGetScreenshotSize,
+    getScreenshotType = defaultGetScreenshotType,
+    getScreenshotFormFactor = defaultGetScreenshotFormFactor,
+    getScreenshotLabel = () => undefined,
+    source,
+    sizes = [192, 256, 384, 512],
+    legacyIcons = false,
+    splashScreens = false,
+    precache = false,
+    autoColors = false,
+    strict = false,
+    audit = false,
+    failOnAuditErrors = false,
+    htmlWebpackPlugin = false,
+    chunkName = 'app-manifest',
+    apps,
   }: Config) {
     this.name = 'webpack-web-app-manifest';
 
     this.content = content;
+    this.contentFile = contentFile;
 
     this.destination = destination;
+    this.filename = filename;
 
     this.isAssetManifestIcon = isAssetManifestIcon;
     this.getIconSize = getIconSize;
     this.getIconType = getIconType;
+    this.getIconPurpose = getIconPurpose;
+
+    this.isAssetManifestScreenshot = isAssetManifestScreenshot;
+    this.getScreenshotSize = getScreenshotSize;
+    this.getScreenshotType = getScreenshotType;
+    this.getScreenshotFormFactor = getScreenshotFormFactor;
+    this.getScreenshotLabel = getScreenshotLabel;
+
+    this.source = source;
+    this.sizes = sizes;
+    this.legacyIcons = legacyIcons;
+    this.splashScreens = splashScreens;
+    this.precache = precache;
+    this.autoColors = autoColors;
+
+    this.strict = strict;
+    this.audit = audit;
+    this.failOnAuditErrors = failOnAuditErrors;
+
+    this.htmlWebpackPlugin = htmlWebpackPlugin;
+
+    this.chunkName = chunkName;
+    this.apps = apps;
   }
 
   apply(compiler: Compiler) {
     const pluginName = WebAppManifestPlugin.name;
     const { webpack } = compiler;
     const { Compilation } = webpack;
-    const { RawSource } = webpack.sources;
+    const { RawSource, ReplaceSource } = webpack.sources;
+
+    /*
+      Imports of the runtime module are resolved to the copy shipped with this plugin, so that it
+      is the one whose placeholder gets filled in.
+    */
+    compiler.hooks.normalModuleFactory.tap(pluginName, (normalModuleFactory) => {
+      normalModuleFactory.hooks.beforeResolve.tap(pluginName, (resolveData) => {
+        if (resolveData.request === RUNTIME_REQUEST) {
+          resolveData.request = RUNTIME_PATH;
+        }
+      });
+    });
 
     /*
     This needs to be attached to the 'emit' event in order for the manifest file to be
     saved to the filesystem by Webpack
     */
     compiler.hooks.thisCompilation.tap(pluginName, (compilation) => {
-      compilation.hooks.processAssets.tap(
-        { name: pluginName, stage: Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE },
-        (assets) => {
-          const { publicPath } = compilation.options.output;
-          /* istanbul ignore if */
-          if (typeof publicPath !== 'string') {
-            throw new TypeError(`A string publicPath is required. Found ${publicPath}`);
+      /*
+        The manifests are built the first time they are needed. That is usually while processing
+        assets, but html-webpack-plugin needs them earlier to render its head tags.
+      */
+      let emittedManifests: Promise<EmittedManifest[]> | undefined;
+      const emitManifests = (): Promise<EmittedManifest[]> => {
+        if (!emittedManifests) {
+          emittedManifests = buildAllManifests();
+        }
+        return emittedManifests;
+      };
+
+      /*
+        Without `apps`, the plugin's own options describe the only app. The apps are built one
+        after the other so that errors and warnings are reported in a stable order.
+      */
+      const buildAllManifests = async (): Promise<EmittedManifest[]> => {
+        const emitted: EmittedManifest[] = [];
+        for (const app of this.apps || [{ chunkName: this.chunkName }]) {
+          // Defaults only apply to undefined values, so an app can't unset an option by accident.
+          const {
+            content = this.content,
+            contentFile = this.contentFile,
+            destination = this.destination,
+            filename = this.filename,
+            isAssetManifestIcon = this.isAssetManifestIcon,
+            isAssetManifestScreenshot = this.isAssetManifestScreenshot,
+            source = this.source,
+            sizes = this.sizes,
+            legacyIcons = this.legacyIcons,
+            splashScreens = this.splashScreens,
+            precache = this.precache,
+            autoColors = this.autoColors,
+          } = app;
+          emitted.push(
+            ...(await provideManifests({
+              ...app,
+              content,
+              contentFile,
+              destination,
+              filename,
+              isAssetManifestIcon,
+              isAssetManifestScreenshot,
+              source,
+              sizes,
+              legacyIcons,
+              splashScreens,
+              precache,
+              autoColors,
+            })),
+          );
+        }
+        return emitted;
+      };
+
+      /*
+        Adds a chunk for emitted files so that they show up in
+        compilation.getStats().assetsByChunkName. Chunk names have to be unique, or one manifest
+        would hide another there.
+      */
+      const addChunk = (name: string, files: string[], auxiliaryFiles: string[]) => {
+        if (compilation.namedChunks.has(name)) {
+          compilation.errors.push(
+            new webpack.WebpackError(
+              `${pluginName}: The chunk name "${name}" is already used by another chunk. Give each manifest a unique chunkName.`,
+            ),
+          );
+          return;
+        }
+        const chunk = new webpack.Chunk(name);
+        chunk.ids = [];
+        files.forEach((file) => chunk.files.add(file));
+        auxiliaryFiles.forEach((file) => chunk.auxiliaryFiles.add(file));
+        compilation.chunks.add(chunk);
+        compilation.namedChunks.set(name, chunk);
+      };
+
+      /*
+        Function and templated public paths are resolved the same way webpack resolves them for
+        other assets. An 'auto' public path is only known at runtime, so URLs in the manifest are
+        written relative to the manifest instead, which is what browsers resolve them against.
+      */
+      const getPublicPath = (): string => {
+        const { publicPath = '' } = compilation.options.output;
+        return publicPath === 'auto'
+          ? publicPath
+          : compilation.getAssetPath(publicPath, { hash: compilation.hash });
+      };
+
+      /*
+        Content hashes are computed with the hash function, salt, digest and length of webpack's
+        output options, so that they match the hashes of every other asset.
+      */
+      const {
+        hashFunction = 'md4',
+        hashDigest = 'hex',
+        hashDigestLength = 20,
+        hashSalt,
+      } = compilation.outputOptions;
+      const getContentHash = (source: string | Buffer): string => {
+        const hash = webpack.util.createHash(hashFunction);
+        if (hashSalt) {
+          hash.update(hashSalt);
+        }
+        return (hash.update(source).digest(hashDigest) as string).slice(0, hashDigestLength);
+      };
+
+      /*
+        Results that only depend on the contents of assets, like image sizes, generated images and
+        serialized manifests, are kept in webpack's cache. Rebuilds in watch mode, and builds with a
+        persistent cache, reuse them and emit the same sources, which webpack doesn't write again.
+      */
+      const cache = compilation.getCache(pluginName);
+
+      /*
+        Every app inherits the plugin's options, so the images generated for one app are often
+        emitted where the next app collects its icons. The files the plugin emits are remembered so
+        that each app only lists the images generated for it.
+      */
+      const emittedFiles = new Set<string>();
+
+      const buildManifests = async (
+        app: App,
+        fileContent: Partial<Content>,
+        build: ManifestBuild,
+      ): Promise<EmittedManifest[]> => {
+        const { assets } = compilation;
+
+        /*
+          Everything the build adds to the compilation is also recorded in `build`, to be added
+          again when the build is reused from the cache.
+        */
+        const emitAsset = (name: string, source: sources.Source, info: AssetInfo) => {
+          compilation.emitAsset(name, source, info);
+          emittedFiles.add(name);
+          build.assets.push({ name, source, info });
+        };
+        const emitFile = (fileName: string, source: sources.Source, digest?: string) =>
+          emitAsset(fileName, source, digest ? getHashedAssetInfo(digest) : {});
+        const addBuildChunk = (name: string, files: string[], auxiliaryFiles: string[]) => {
+          addChunk(name, files, auxiliaryFiles);
+          build.chunks.push({ name, files, auxiliaryFiles });
+        };
+        const reportError = (error: WebpackError) => {
+          compilation.errors.push(error);
+          build.errors.push({ message: error.message, file: error.file });
+        };
+        const reportWarning = (warning: WebpackError) => {
+          compilation.warnings.push(warning);
+          build.warnings.push({ message: warning.message, file: warning.file });
+        };
+        const publicPath = getPublicPath();
+        const normalizedDestination = normalizePath(app.destination);
+
+        /*
+          With an 'auto' public path, URLs are relative to the directory the manifest is written
+          to, which includes the directory of `filename`. That directory has to be known before
+          the manifest is, so it can't depend on the locale or hash of each manifest.
+        */
+        const filenameDirectory = path.posix.dirname(app.filename);
+        if (publicPath === 'auto' && /\[[^\]]+\]/.test(filenameDirectory)) {
+          reportError(
+            new webpack.WebpackError(
+              `${pluginName}: The directory of filename "${app.filename}" cannot contain placeholders with an 'auto' public path, since URLs in the manifest are relative to it.`,
+            ),
+          );
+          return [];
+        }
+        const manifestDirectory = path.posix.join(normalizedDestination, filenameDirectory);
+        const getAssetUrl = (fileName: string): string =>
+          publicPath === 'auto'
+            ? path.posix.relative(manifestDirectory, fileName)
+            : `${trimSlashRight(publicPath)}/${fileName}`;
+
+        /*
+          Images are frequently re-exported at a new size without being renamed, so warn
+          when the size in the file name no longer matches the size of the image. Vector icons
+          have no size to compare.
+        */
+        const warnIfSizeMismatch = (
+          fileName: string,
+          fileNameSize: IconSize | null,
+          size: IconSize,
+        ) => {
+          if (
+            fileNameSize &&
+            fileNameSize !== 'any' &&
+            size !== 'any' &&
+            (fileNameSize.width !== size.width || fileNameSize.height !== size.height)
+          ) {
+            const warning = new webpack.WebpackError(
+              `${pluginName}: The file name of ${fileName} describes a ${fileNameSize.width}x${fileNameSize.height} image, but the image is ${size.width}x${size.height}.`,
+            );
+            warning.file = fileName;
+            reportWarning(warning);
           }
+        };
 
-          /*
-            Builds up the icons object for the manifest by filtering through all of the
-            webpack assets and calculating the sizes and type of image from the fileName.
-          */
-          const { isAssetManifestIcon, getIconSize, getIconType } = this;
+        const getCachedSize = <Size extends IconSize>(
+          kind: string,
+          fileName: string,
+          getSize: (fileName: string, source: Buffer) => Size,
+        ): Promise<Size> => {
+          const source = assets[fileName]!;
+          return cache.providePromise(
+            `${kind}-size|${fileName}`,
+            cache.getLazyHashedEtag(source),
+            async () => getSize(fileName, source.buffer()),
+          );
+        };
+
+        /*
+          Files whose size or type can't be determined, ex. a script matched by a custom
+          isAssetManifestIcon(), are reported as errors of that file and left out of the manifest,
+          so that the rest of the compilation still succeeds.
+        */
+        const collectImage = async <Image>(
+          fileName: string,
+          collect: () => Promise<Image>,
+        ): Promise<Image | null> => {
+          try {
+            return await collect();
+          } catch (error) {
+            const imageError = new webpack.WebpackError(
+              `${pluginName}: ${(error as Error).message}`,
+            );
+            imageError.file = fileName;
+            reportError(imageError);
+            return null;
+          }
+        };
 
-          const iconAssets = Object.keys(assets)
-            .filter((fileName) => isAssetManifestIcon(fileName))
-            .map((fileName) => {
-              const size = getIconSize(fileName);
-              const sizes = `${size.width}x${size.height}`;
-              const type = getIconType(fileName);
+        /*
+          Builds up the icons object for the manifest by filtering through all of the
+          webpack assets and calculating the sizes and type of image from the fileName.
+        */
+        const { getIconSize, getIconType, getIconPurpose } = this;
+        const { isAssetManifestIcon } = app;
+        const hooks = getHooks(compilation);
 
-              return { fileName, sizes, type };
+        const { assetNames } = await hooks.beforeIconCollection.promise({
+          chunkName: app.chunkName,
+          assetNames: Object.keys(assets),
+        });
+        const collectedIconAssets = await Promise.all(
+          assetNames
+            .filter(
+              (fileName) =>
+                assets[fileName] && !emittedFiles.has(fileName) && isAssetManifestIcon(fileName),
+            )
+            .map((fileName) =>
+              collectImage(fileName, async (): Promise<IconAsset> => {
+                const size = await getCachedSize('icon', fileName, getIconSize);
+
+                warnIfSizeMismatch(fileName, getIconSizeFromFileName(fileName), size);
+
+                const sizes = size === 'any' ? size : `${size.width}x${size.height}`;
+                const type = getIconType(fileName);
+                const purpose = getIconPurpose(fileName);
+
+                return { fileName, sizes, type, purpose };
+              }),
+            ),
+        );
+        const iconAssets = collectedIconAssets.filter(
+          (iconAsset): iconAsset is IconAsset => iconAsset !== null,
+        );
+
+        /*
+          Resizes the source image, if there is one, into the rest of the icons. The generated
+          icons are emitted next to the manifest and linked to its chunk.
+        */
+        const generatedFiles: string[] = [];
+        if (app.source) {
+          const sourcePath = path.resolve(compiler.context, app.source);
+          try {
+            const sourceImage = fs.readFileSync(sourcePath);
+            const generatedIcons = await cache.providePromise<
+              (GeneratedImage & { size: number })[]
+            >(
+              `generated-icons|${sourcePath}`,
+              `${getContentHash(sourceImage)}|${app.sizes.join()}`,
+              async () =>
+                generateIcons(sourceImage, app.sizes).map(({ size, png }) => ({
+                  size,
+                  digest: getContentHash(png).slice(0, 8),
+                  source: new RawSource(png),
+                })),
+            );
+            generatedIcons.forEach(({ size, digest, source }) => {
+              const fileName = `${normalizedDestination}/icon_${size}-${digest}.png`;
+              emitFile(fileName, source, digest);
+              generatedFiles.push(fileName);
+              iconAssets.push({ fileName, sizes: `${size}x${size}`, type: 'image/png' });
+            });
+          } catch (error) {
+            reportError(
+              new webpack.WebpackError(
+                `${pluginName}: Unable to generate icons from ${sourcePath}: ${
+                  (error as Error).message
+                }`,
+              ),
+            );
+          }
+        }
+
+        /*
+          Icons are sorted so that identical builds produce identical manifests, and so identical
+          hashes. Copies of an icon, ex. the same image emitted under two hashes, are left out.
+        */
+        const uniqueIconAssets: IconAsset[] = [];
+        iconAssets.sort(compareIcons).forEach((iconAsset) => {
+          const duplicate = uniqueIconAssets.find(
+            ({ sizes, type, purpose }) =>
+              sizes === iconAsset.sizes && type === iconAsset.type && purpose === iconAsset.purpose,
+          );
+          if (duplicate) {
+            const warning = new webpack.WebpackError(
+              `${pluginName}: ${iconAsset.fileName} was left out of the manifest, because ${
+                duplicate.fileName
+              } is also a ${iconAsset.sizes} ${iconAsset.type} icon${
+                iconAsset.purpose ? ` with the purpose ${iconAsset.purpose}` : ''
+              }.`,
+            );
+            warning.file = iconAsset.fileName;
+            reportWarning(warning);
+            return;
+          }
+          uniqueIconAssets.push(iconAsset);
+        });
+
+        /*
+          Launchers crop maskable icons into their own shape, and only the circle in the center, the
+          safe zone, is always shown. The rest should be opaque background the crop can cut off.
+        */
+        const maskableIcons = uniqueIconAssets.filter(
+          ({ type, purpose }) => type === 'image/png' && purpose?.split(' ').includes('maskable'),
+        );
+        for (const { fileName } of maskableIcons) {
+          const source = assets[fileName]!;
+          try {
+            const { transparent, clipped } = await cache.providePromise(
+              `safe-zone|${fileName}`,
+              cache.getLazyHashedEtag(source),
+              async () => analyzeSafeZone(decodePng(source.buffer())),
+            );
+            const problems = [
+              ...(clipped > SAFE_ZONE_TOLERANCE
+                ? [
+                    `${clipped.toFixed(
+                      1,
+                    )}% of its content is outside the safe zone, and gets clipped`,
+                  ]
+                : []),
+              ...(transparent > SAFE_ZONE_TOLERANCE
+                ? [`${transparent.toFixed(1)}% of the pixels outside the safe zone are transparent`]
+                : []),
+            ];
+            problems.forEach((problem) => {
+              const warning = new webpack.WebpackError(
+                `${pluginName}: ${fileName} is a maskable icon, but ${problem}. Keep its content within the centered circle of 80% of its width, on an opaque background.`,
+              );
+              warning.file = fileName;
+              reportWarning(warning);
             });
+          } catch (error) {
+            const warning = new webpack.WebpackError(
+              `${pluginName}: Unable to check the safe zone of ${fileName}: ${
+                (error as Error).message
+              }`,
+            );
+            warning.file = fileName;
+            reportWarning(warning);
+          }
+        }
 
-          const icons = iconAssets.map(({ fileName, sizes, type }) => ({
+        const { icons } = await hooks.afterIconCollection.promise({
+          chunkName: app.chunkName,
+          icons: uniqueIconAssets.map(({ fileName, sizes, type, purpose }) => ({
             type,
             sizes,
-            src: `${trimSlashRight(publicPath)}/${fileName}`,
-          }));
+            src: getAssetUrl(fileName),
+            ...(purpose ? { purpose } : {}),
+          })),
+        });
+
+        /*
+          Builds up the screenshots object for the manifest the same way as the icons, adding
+          the form factor and label that browsers show in their richer install UI.
+        */
+        const {
+          getScreenshotSize,
+          getScreenshotType,
+          getScreenshotFormFactor,
+          getScreenshotLabel,
+        } = this;
+        const { isAssetManifestScreenshot } = app;
+
+        // Screenshots are sorted by file name so that, like icons, they don't depend on build order.
+        const collectedScreenshots = await Promise.all(
+          Object.keys(assets)
+            .filter((fileName) => isAssetManifestScreenshot(fileName))
+            .sort(compareStrings)
+            .map((fileName) =>
+              collectImage(fileName, async (): Promise<Screenshot> => {
+                const size = await getCachedSize('screenshot', fileName, getScreenshotSize);
+                warnIfSizeMismatch(fileName, getScreenshotSizeFromFileName(fileName), size);
 
-          const content = JSON.stringify({ ...this.content, icons }, null, 2);
+                const formFactor = getScreenshotFormFactor(fileName);
+                const label = getScreenshotLabel(fileName);
 
-          const normalizedDestination = normalizePath(this.destination);
-          const hash = webpack.util.createHash('md4');
-          const digest = (hash.update(content).digest('hex') as string).substring(0, 8);
-          const filename = `${normalizedDestination}/manifest-${digest}.json`;
+                return {
+                  src: getAssetUrl(fileName),
+                  sizes: `${size.width}x${size.height}`,
+                  type: getScreenshotType(fileName),
+                  ...(formFactor ? { form_factor: formFactor } : {}),
+                  ...(label ? { label } : {}),
+                };
+              }),
+            ),
+        );
+        const screenshots = collectedScreenshots.filter(
+          (screenshot): screenshot is Screenshot => screenshot !== null,
+        );
+
+        /*
+          Replaces references to webpack assets in shortcuts and file handlers with the URL, size
+          and type of the asset, the same way as the top-level icons. Loaders that emit files
+          themselves, ex. file-loader, don't set the sourceFilename of their assets, so those are
+          matched by the path of the module that emitted them instead.
+        */
+        const moduleSourceFilenames = new Map<string, string>();
+        for (const module of compilation.modules) {
+          const emittedAssets: Record<string, sources.Source> | undefined =
+            module.buildInfo['assets'];
+          if (module instanceof webpack.NormalModule && emittedAssets) {
+            const sourceFilename = path
+              .relative(compiler.context, module.resource)
+              .split(path.sep)
+              .join('/');
+            Object.keys(emittedAssets).forEach((name) =>
+              moduleSourceFilenames.set(name, sourceFilename),
+            );
+          }
+        }
+        const resolveImage = ({ asset, ...image }: AssetImageResource): ImageResource | null => {
+          const match = compilation.getAssets().find(({ name, info }) => {
+            if (typeof asset === 'function') {
+              return asset(name, info);
+            }
+            const sourceFilename = info.sourceFilename || moduleSourceFilenames.get(name);
+            return (
+              name === asset || sourceFilename === asset || !!sourceFilename?.endsWith(`/${asset}`)
+            );
+          });
+          if (!match) {
+            reportError(
+              new webpack.WebpackError(
+                `${pluginName}: No asset matches the image ${
+                  typeof asset === 'function' ? asset.toString() : JSON.stringify(asset)
+                }.`,
+              ),
+            );
+            return null;
+          }
+          const size = image.sizes ? null : readImageSize(match.source.buffer());
+          const type = getImageMimeType(match.name);
+          return {
+            src: getAssetUrl(match.name),
+            ...(size ? { sizes: `${size.width}x${size.height}` } : {}),
+            ...(type ? { type } : {}),
+            ...image,
+          };
+        };
+
+        let inlineContent: Partial<Content>;
+        try {
+          inlineContent =
+            typeof app.content === 'function'
+              ? await app.content({ compilation, mode: compiler.options.mode, publicPath, icons })
+              : app.content;
+        } catch (error) {
+          reportError(
+            new webpack.WebpackError(
+              `${pluginName}: The content function failed: ${(error as Error).message}`,
+            ),
+          );
+          return [];
+        }
+        const content = mergeContent(fileContent, inlineContent);
+        const { locales = {}, ...defaultContent } = resolveImageReferences(content, resolveImage);
+        /*
+          One manifest is emitted with the default content, and one more for each locale with
+          its overrides applied. They all share the same icons and screenshots.
+        */
+        const images = {
+          icons,
+          ...(screenshots.length
+            ? { screenshots: [...(defaultContent.screenshots || []), ...screenshots] }
+            : {}),
+        };
+        /*
+          Legacy icons and splash screens are resized from the largest PNG icon that is meant to be
+          shown as is.
+        */
+        const [largestIcon] = uniqueIconAssets
+          .filter(
+            ({ type, purpose }) =>
+              type === 'image/png' && (!purpose || purpose.split(' ').includes('any')),
+          )
+          .sort((a, b) => getIconArea(b.sizes) - getIconArea(a.sizes));
+
+        /*
+          Images resized from the largest icon are cached with the hash of the icon, so it is only
+          decoded when one of them needs to be generated again.
+        */
+        let largestIconImage: Bitmap | undefined;
+        const getLargestIconImage = (): Bitmap => {
+          largestIconImage = largestIconImage || decodePng(assets[largestIcon!.fileName]!.buffer());
+          return largestIconImage;
+        };
+        const provideImage = (
+          name: string,
+          options: string,
+          generate: (icon: Bitmap) => Buffer,
+        ): Promise<GeneratedImage> =>
+          cache.providePromise(
+            `${app.chunkName}|${name}`,
+            cache.mergeEtags(cache.getLazyHashedEtag(assets[largestIcon!.fileName]!), options),
+            async () => {
+              const png = generate(getLargestIconImage());
+              return { digest: getContentHash(png).slice(0, 8), source: new RawSource(png) };
+            },
+          );
+
+        /*
+          Colors the content leaves out are picked from the largest icon, before legacy icons and
+          splash screens use them. They are kept in the asset info of the manifests, so they show
+          up in the stats.
+        */
+        const autoColors: { theme_color?: string; background_color?: string } = {};
+        if (app.autoColors && (!defaultContent.theme_color || !defaultContent.background_color)) {
+          if (!largestIcon) {
+            reportWarning(
+              new webpack.WebpackError(
+                `${pluginName}: autoColors requires a PNG icon without a maskable or monochrome only purpose.`,
+              ),
+            );
+          } else {
+            try {
+              const iconColors = await cache.providePromise(
+                `colors|${largestIcon.fileName}`,
+                cache.getLazyHashedEtag(assets[largestIcon.fileName]!),
+                async () => findIconColors(getLargestIconImage()),
+              );
+              if (iconColors && !defaultContent.theme_color) {
+                autoColors.theme_color = iconColors.themeColor;
+              }
+              if (iconColors && !defaultContent.background_color) {
+                autoColors.background_color = iconColors.backgroundColor;
+              }
+              Object.assign(defaultContent, autoColors);
+            } catch (error) {
+              reportError(
+                new webpack.WebpackError(
+                  `${pluginName}: Unable to pick colors from ${largestIcon.fileName}: ${
+                    (error as Error).message
+                  }`,
+                ),
+              );
+            }
+          }
+        }
+
+        /*
+          Legacy icons are for browsers and platforms that look for them at well-known URLs
+          instead of reading the manifest. They are added to the chunk of the default manifest,
+          unless they have a chunk of their own.
+        */
+        const manifestChunkFiles: string[] = [];
+        const manifestChunkAuxiliaryFiles = [...generatedFiles];
+        if (app.legacyIcons) {
+          const legacyIcons = app.legacyIcons === true ? {} : app.legacyIcons;
+          const {
+            destination: legacyDestination = '',
+            faviconSizes = [16, 32, 48],
+            tileColor = defaultContent.theme_color || defaultContent.background_color,
+          } = legacyIcons;
+          const normalizedLegacyDestination = normalizePath(legacyDestination);
+          const legacyFiles: string[] = [];
+          const legacyAuxiliaryFiles: string[] = [];
+
+          if (!largestIcon) {
+            reportWarning(
+              new webpack.WebpackError(
+                `${pluginName}: legacyIcons requires a PNG icon without a maskable or monochrome only purpose.`,
+              ),
+            );
+          } else {
+            try {
+              const emitLegacyFile = (fileName: string, source: sources.Source) => {
+                const legacyFile = path.posix.join(normalizedLegacyDestination, fileName);
+                emitFile(legacyFile, source);
+                legacyFiles.push(legacyFile);
+              };
+
+              const favicon = await provideImage('favicon.ico', faviconSizes.join(), (icon) =>
+                encodeIco(
+                  faviconSizes.map((size) => ({
+                    size,
+                    png: encodePng(resizeBitmapToSquare(icon, size)),
+                  })),
+                ),
+              );
+              emitLegacyFile('favicon.ico', favicon.source);
+
+              // iOS shows transparent pixels as black, so they are filled with the background.
+              const background = parseHexColor(defaultContent.background_color || '');
+              const appleTouchIcon = await provideImage(
+                'apple-touch-icon.png',
+                background ? background.join() : '',
+                (icon) => {
+                  const resized = resizeBitmapToSquare(icon, APPLE_TOUCH_ICON_SIZE);
+                  return encodePng(background ? flattenBitmap(resized, background) : resized);
+                },
+              );
+              emitLegacyFile('apple-touch-icon.png', appleTouchIcon.source);
+
+              const tiles = [];
+              for (const { name, size } of TILES) {
+                const { digest, source } = await provideImage(`mstile|${size}`, '', (icon) =>
+                  encodePng(resizeBitmapToSquare(icon, size)),
+                );
+                const fileName = `${normalizedDestination}/mstile_${size}-${digest}.png`;
+                emitFile(fileName, source, digest);
+                legacyAuxiliaryFiles.push(fileName);
+                tiles.push({
+                  name,
+                  src:
+                    publicPath === 'auto'
+                      ? path.posix.relative(normalizedLegacyDestination, fileName)
+                      : getAssetUrl(fileName),
+                });
+              }
+              emitLegacyFile(
+                'browserconfig.xml',
+                new RawSource(createBrowserconfig(tiles, tileColor)),
+              );
+            } catch (error) {
+              reportError(
+                new webpack.WebpackError(
+                  `${pluginName}: Unable to generate legacy icons from ${largestIcon.fileName}: ${
+                    (error as Error).message
+                  }`,
+                ),
+              );
+            }
+          }
+
+          if (legacyIcons.chunkName) {
+            addBuildChunk(legacyIcons.chunkName, legacyFiles, legacyAuxiliaryFiles);
+          } else {
+            manifestChunkFiles.push(...legacyFiles);
+            manifestChunkAuxiliaryFiles.push(...legacyAuxiliaryFiles);
+          }
+        }
+
+        /*
+          iOS ignores the manifest when launching an app from the home screen, and shows the
+          apple-touch-startup-image whose media query matches the device instead. The links are
+          emitted as JSON in their own chunk, with the images, so that servers can render them.
+        */
+        const splashScreens: SplashScreenLink[] = [];
+        if (app.splashScreens) {
+          const {
+            devices = DEFAULT_SPLASH_SCREEN_DEVICES,
+            chunkName: splashScreensChunkName = `${app.chunkName}-splash-screens`,
+          } = app.splashScreens === true ? {} : app.splashScreens;
+          const background = parseHexColor(defaultContent.background_color || '');
+
+          if (!largestIcon || !background) {
+            reportWarning(
+              new webpack.WebpackError(
+                `${pluginName}: splashScreens requires a hex background_color and a PNG icon without a maskable or monochrome only purpose.`,
+              ),
+            );
+          } else {
+            try {
+              const splashScreenFiles: string[] = [];
+              for (const orientation of getSplashScreenOrientations(defaultContent.orientation)) {
+                for (const device of devices) {
+                  const portraitWidth = device.width * device.pixelRatio;
+                  const portraitHeight = device.height * device.pixelRatio;
+                  const [width, height] =
+                    orientation === 'portrait'
+                      ? [portraitWidth, portraitHeight]
+                      : [portraitHeight, portraitWidth];
+                  const { digest, source } = await provideImage(
+                    `splash|${width}x${height}`,
+                    background.join(),
+                    (icon) => encodePng(createSplashScreen(icon, width, height, background)),
+                  );
+                  const fileName = `${normalizedDestination}/splash_${width}x${height}-${digest}.png`;
+                  emitFile(fileName, source, digest);
+                  splashScreenFiles.push(fileName);
+                  splashScreens.push({
+                    rel: 'apple-touch-startup-image',
+                    href: getAssetUrl(fileName),
+                    media: getSplashScreenMedia(device, orientation),
+                  });
+                }
+              }
+
+              const links = JSON.stringify(splashScreens, null, 2);
+              const digest = getContentHash(links).slice(0, 8);
+              const linksFile = `${normalizedDestination}/splash-screens-${digest}.json`;
+              emitAsset(linksFile, new RawSource(links), getHashedAssetInfo(digest));
+              addBuildChunk(splashScreensChunkName, [linksFile], splashScreenFiles);
+            } catch (error) {
+              reportError(
+                new webpack.WebpackError(
+                  `${pluginName}: Unable to generate splash screens from ${largestIcon.fileName}: ${
+                    (error as Error).message
+                  }`,
+                ),
+              );
+            }
+          }
+        }
+
+        const variants: { locale?: string; manifest: WebAppManifest }[] = [
+          { manifest: { ...defaultContent, ...images } },
+          ...Object.entries(locales).map(([locale, overrides]) => ({
+            locale,
+            manifest: {
+              ...defaultContent,
+              lang: locale,
+              ...resolveImageReferences(overrides, resolveImage),
+              ...images,
+            },
+          })),
+        ];
+
+        const emitted: EmittedManifest[] = [];
+        for (const { locale, ...variant } of variants) {
+          const chunkName = locale ? `${app.chunkName}-${locale}` : app.chunkName;
+          const { manifest } = await hooks.beforeEmit.promise({
+            chunkName,
+            locale,
+            manifest: variant.manifest,
+          });
+          const content = JSON.stringify(manifest, null, 2);
+
+          /*
+            The file name is rendered by webpack like the names of chunks, so any placeholder it
+            knows works too. [locale] isn't one of them, and is empty for the default manifest.
+          */
+          const contentHash = getContentHash(content);
+          const { path: renderedFilename, info } = compilation.getPathWithInfo(
+            app.filename.replace(/\[locale\]/g, locale || ''),
+            {
+              chunk: {
+                id: chunkName,
+                name: locale ? `manifest-${locale}` : 'manifest',
+                hash: contentHash,
+              },
+              contentHash,
+            },
+          );
+          const filename = path.posix.join(normalizedDestination, renderedFilename);
+
+          /*
+            Validates the manifest as the browser will see it, resolving relative URLs against the
+            URL the manifest will be served from.
+          */
+          const manifestUrl = new URL(
+            publicPath === 'auto' ? filename : `${trimSlashRight(publicPath)}/${filename}`,
+            'https://localhost/',
+          ).href;
+          const { source, problems } = await cache.providePromise(
+            `manifest|${filename}`,
+            `${contentHash}|${manifestUrl}`,
+            async () => ({
+              source: new RawSource(content) as sources.Source,
+              problems: validateManifest(manifest, manifestUrl),
+            }),
+          );
+          problems.forEach((problem) => {
+            const error = new webpack.WebpackError(`${pluginName}: ${problem}`);
+            error.file = filename;
+            (this.strict ? reportError : reportWarning)(error);
+          });
+
+          /*
+            A valid manifest can still be one browsers won't install, ex. without a 512 pixel icon
+            or with the browser display mode, so the audit reports what would stop them.
+          */
+          if (this.audit || this.failOnAuditErrors) {
+            auditManifest(manifest).forEach(({ severity, message }) => {
+              const finding = new webpack.WebpackError(`${pluginName}: ${message}`);
+              finding.file = filename;
+              (severity === 'error' && this.failOnAuditErrors ? reportError : reportWarning)(
+                finding,
+              );
+            });
+          }
 
           /*
           This adds the app manifest as an asset to Webpack.
+
+          The info webpack computed from the file name says whether it is immutable and which
+          hashes it contains. The icons are related assets, like the source map of a script, and
+          webAppManifest lets other plugins find manifests without matching their file names.
           */
-          compilation.emitAsset(filename, new RawSource(content));
+          emitAsset(filename, source, {
+            ...info,
+            javascriptModule: false,
+            related: { icon: uniqueIconAssets.map(({ fileName }) => fileName) },
+            webAppManifest: {
+              chunkName,
+              ...(locale ? { locale } : {}),
+              ...(Object.keys(autoColors).length ? { autoColors } : {}),
+            },
+          });
 
           /*
-            The web app manifest also needs to generate its own chunk so that it shows up in
-            compilation.getStats().assetsByChunkName. In this case, we are making a chunk called
-            'app-manifest' with just this file in it.
+            The web app manifest also needs its own chunk. In this case, we are making a chunk
+            called 'app-manifest' with just this file in it, or 'app-manifest-[locale]' for a
+            locale, unless the app has another chunkName.
           */
-          const chunk = new webpack.Chunk('app-manifest');
-          chunk.ids = [];
-          chunk.files.add(filename);
-          compilation.chunks.add(chunk);
+          addBuildChunk(
+            chunkName,
+            [filename, ...(locale ? [] : manifestChunkFiles)],
+            locale ? [] : manifestChunkAuxiliaryFiles,
+          );
+
+          const url = getAssetUrl(filename);
+          await hooks.afterEmit.promise({ chunkName, locale, filename, url, manifest });
+          emitted.push({
+            chunkName,
+            locale,
+            filename,
+            url,
+            manifest,
+            splashScreens: locale ? [] : splashScreens,
+          });
+        }
+
+        /*
+          The precache list names the manifests and their icons by the URLs a service worker fetches
+          them from. With an 'auto' public path, those are the file names, which is what Workbox
+          uses for the rest of the assets.
+        */
+        if (app.precache) {
+          const { chunkName: precacheChunkName = `${app.chunkName}-precache` } =
+            app.precache === true ? {} : app.precache;
+          const getPrecacheEntry = (fileName: string) => {
+            const { source, info } = compilation.getAsset(fileName)!;
+            return createPrecacheEntry(
+              publicPath === 'auto' ? fileName : getAssetUrl(fileName),
+              info,
+              () => getContentHash(source.buffer()),
+            );
+          };
+          const { entries } = await hooks.precacheEntries.promise({
+            chunkName: app.chunkName,
+            entries: [
+              ...emitted.map(({ filename }) => filename),
+              ...uniqueIconAssets.map(({ fileName }) => fileName),
+            ].map(getPrecacheEntry),
+          });
+
+          const precacheList = JSON.stringify(entries, null, 2);
+          const digest = getContentHash(precacheList).slice(0, 8);
+          const precacheFile = `${normalizedDestination}/precache-${digest}.json`;
+          emitAsset(precacheFile, new RawSource(precacheList), getHashedAssetInfo(digest));
+          addBuildChunk(precacheChunkName, [precacheFile], []);
+        }
+        return emitted;
+      };
+
+      /*
+        The manifests of an app are only built again when something they are built from changed:
+        the options and content of the app, the content of its contentFile and source image, or the
+        names and contents of the images it can list and refer to. Otherwise, what the cached build
+        added to the compilation is added again, without calling the hooks. Content functions can
+        read anything from the compilation, so their manifests are built every time.
+      */
+      const provideManifests = async (app: App): Promise<EmittedManifest[]> => {
+        /*
+          Content from contentFile is read on every compilation and registered as a dependency, so
+          editing it triggers a rebuild in watch mode. Inline content is merged over it later.
+        */
+        let fileContent: Partial<Content> = app.scope ? { scope: app.scope } : {};
+        if (app.contentFile) {
+          const contentFilePath = path.resolve(compiler.context, app.contentFile);
+          compilation.fileDependencies.add(contentFilePath);
+          try {
+            fileContent = {
+              ...fileContent,
+              ...(await readContentFile(
+                compilation.inputFileSystem.readFile.bind(compilation.inputFileSystem),
+                contentFilePath,
+              )),
+            };
+          } catch (error) {
+            const fileError = new webpack.WebpackError(
+              `${pluginName}: Unable to read contentFile: ${(error as Error).message}`,
+            );
+            fileError.file = contentFilePath;
+            compilation.errors.push(fileError);
+            return [];
+          }
+        }
+
+        let sourceEtag = '';
+        if (app.source) {
+          const sourcePath = path.resolve(compiler.context, app.source);
+          compilation.fileDependencies.add(sourcePath);
+          try {
+            sourceEtag = getContentHash(fs.readFileSync(sourcePath));
+          } catch (error) {
+            // The build reports that the source can't be read, until that changes.
+            sourceEtag = (error as Error).message;
+          }
+        }
+
+        const build: ManifestBuild = {
+          assets: [],
+          chunks: [],
+          errors: [],
+          warnings: [],
+          manifests: [],
+        };
+        if (typeof app.content === 'function') {
+          return buildManifests(app, fileContent, build);
+        }
+
+        const { assets } = compilation;
+        const { hashFunction, hashDigest, hashDigestLength, hashSalt } = compilation.outputOptions;
+        const options = JSON.stringify({
+          app,
+          fileContent,
+          publicPath: getPublicPath(),
+          output: { hashFunction, hashDigest, hashDigestLength, hashSalt },
+          strict: this.strict,
+          audit: this.audit,
+          failOnAuditErrors: this.failOnAuditErrors,
+        });
+        const etag = Object.keys(assets)
+          .filter(
+            (fileName) =>
+              !!getImageMimeType(fileName) ||
+              app.isAssetManifestIcon(fileName) ||
+              app.isAssetManifestScreenshot(fileName),
+          )
+          .sort(compareStrings)
+          .reduce(
+            (etag, fileName) =>
+              cache.mergeEtags(
+                etag,
+                cache.mergeEtags(fileName, cache.getLazyHashedEtag(assets[fileName]!)),
+              ),
+            cache.mergeEtags(options, sourceEtag),
+          );
+
+        const identifier = `manifests|${app.chunkName}`;
+        const cachedBuild = await cache.getPromise<ManifestBuild | undefined>(identifier, etag);
+        if (cachedBuild) {
+          const toWebpackError = ({ message, file }: BuildProblem) =>
+            Object.assign(new webpack.WebpackError(message), { file });
+          cachedBuild.assets.forEach(({ name, source, info }) => {
+            compilation.emitAsset(name, source, info);
+            emittedFiles.add(name);
+          });
+          cachedBuild.chunks.forEach(({ name, files, auxiliaryFiles }) =>
+            addChunk(name, files, auxiliaryFiles),
+          );
+          compilation.errors.push(...cachedBuild.errors.map(toWebpackError));
+          compilation.warnings.push(...cachedBuild.warnings.map(toWebpackError));
+          return cachedBuild.manifests;
+        }
+
+        build.manifests = await buildManifests(app, fileContent, build);
+        await cache.storePromise(identifier, etag, build);
+        return build.manifests;
+      };
+
+      /*
+        Most builds never import the runtime module, so their scripts aren't searched for its
+        placeholder. Modules are checked once they are all built, before module concatenation
+        hides the runtime module inside of another one.
+      */
+      let usesRuntimeModule = false;
+      compilation.hooks.finishModules.tap(pluginName, (modules) => {
+        usesRuntimeModule = Array.from(modules).some(
+          (module) => module instanceof webpack.NormalModule && module.resource === RUNTIME_PATH,
+        );
+      });
+
+      compilation.hooks.processAssets.tapPromise(
+        { name: pluginName, stage: Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE },
+        async () => {
+          const manifests = await emitManifests();
+          fillRuntimeModule(manifests);
         },
       );
+
+      /*
+        Replaces the placeholder in the runtime module with the URLs and content of the
+        manifests. This happens after minification, which leaves string literals alone, and
+        before real content hashes are computed, so the hashes of the scripts include the data.
+      */
+      const fillRuntimeModule = (manifests: EmittedManifest[]) => {
+        const data = usesRuntimeModule && getRuntimeData(manifests, getPublicPath());
+        if (!data) {
+          return;
+        }
+        const serializedData = serializeRuntimeData(data);
+        compilation
+          .getAssets()
+          .filter(({ name }) => /\.[cm]?js$/.test(name))
+          .forEach(({ name, source }) => {
+            const code = source.source().toString();
+            if (!code.includes(RUNTIME_PLACEHOLDER)) {
+              return;
+            }
+            const filledSource = new ReplaceSource(source);
+            for (
+              let index = code.indexOf(RUNTIME_PLACEHOLDER);
+              index !== -1;
+              index = code.indexOf(RUNTIME_PLACEHOLDER, index + 1)
+            ) {
+              filledSource.replace(index, index + RUNTIME_PLACEHOLDER.length - 1, serializedData);
+            }
+            compilation.updateAsset(name, filledSource);
+          });
+      };
+
+      /*
+        Injects the manifest link, theme color and Apple touch icons into every page rendered by
+        html-webpack-plugin. The plugin is found among the compiler's plugins rather than
+        required, so that its hooks are the ones of the copy the compiler is using.
+      */
+      if (this.htmlWebpackPlugin) {
+        const HtmlWebpackPlugin = findHtmlWebpackPlugin(compiler);
+        if (!HtmlWebpackPlugin) {
+          compilation.errors.push(
+            new webpack.WebpackError(
+              `${pluginName}: The htmlWebpackPlugin option requires html-webpack-plugin to be used in the same compilation.`,
+            ),
+          );
+          return;
+        }
+        HtmlWebpackPlugin.getHooks(compilation).alterAssetTagGroups.tapPromise(
+          pluginName,
+          async (data) => {
+            const defaultManifest = (await emitManifests()).find(({ locale }) => !locale);
+            if (!defaultManifest) {
+              return data;
+            }
+            const { filename, url, manifest, splashScreens } = defaultManifest;
+            /*
+              With an 'auto' public path, URLs are relative to the manifest, so they need to be
+              made relative to the page using the public path html-webpack-plugin computed for it.
+            */
+            const getPageUrl = (manifestRelativeUrl: string) =>
+              compilation.options.output.publicPath === 'auto'
+                ? `${data.publicPath}${path.posix.join(
+                    path.posix.dirname(filename),
+                    manifestRelativeUrl,
+                  )}`
+                : manifestRelativeUrl;
+            data.headTags.push(...createHeadTags(url, manifest, getPageUrl, splashScreens));
+            return data;
+          },
+        );
+      }
     });
   }
 };
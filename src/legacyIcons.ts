@@ -0,0 +1,97 @@
+/** The options of the `legacyIcons` feature. */
+export interface LegacyIconsConfig {
+  /** An output path where favicon.ico, apple-touch-icon.png and browserconfig.xml are written. Defaults to the root of the output, where browsers look for them. */
+  destination?: string;
+  /** The name of a chunk to add the legacy icons to, instead of the chunk of the manifest. */
+  chunkName?: string;
+  /** The width and height of each image in favicon.ico. Defaults to 16, 32 and 48. */
+  faviconSizes?: number[];
+  /** The background color of the Windows tiles. Defaults to the `theme_color`, or `background_color`, of the manifest. */
+  tileColor?: string;
+}
+
+/** The width and height of the Apple touch icon, which is the size of the largest iPad icon. */
+export const APPLE_TOUCH_ICON_SIZE = 180;
+
+/**
+ * The Windows tiles listed in browserconfig.xml, and the size of their images. The images are
+ * larger than the names suggest, as Microsoft recommends for high density displays.
+ */
+export const TILES = [
+  { name: 'square70x70logo', size: 128 },
+  { name: 'square150x150logo', size: 270 },
+  { name: 'square310x310logo', size: 558 },
+];
+
+/**
+ * Encodes PNG images into an ICO file. Every browser that reads favicon.ico supports PNG images in
+ * it, which are much smaller than bitmaps.
+ *
+ * @param images The width, which is also the height, and PNG contents of each image.
+ *
+ * @returns the contents of an ICO file.
+ */
+export function encodeIco(images: { size: number; png: Buffer }[]): Buffer {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(0, 0); // reserved
+  header.writeUInt16LE(1, 2); // type: icon
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = header.length + images.length * 16;
+  const entries = images.map(({ size, png }) => {
+    const entry = Buffer.alloc(16);
+    // A width or height of 0 means 256 pixels.
+    entry[0] = size >= 256 ? 0 : size;
+    entry[1] = size >= 256 ? 0 : size;
+    entry.writeUInt16LE(1, 4); // color planes
+    entry.writeUInt16LE(32, 6); // bits per pixel
+    entry.writeUInt32LE(png.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    offset += png.length;
+    return entry;
+  });
+
+  return Buffer.concat([header, ...entries, ...images.map(({ png }) => png)]);
+}
+
+const XML_ENTITIES: Record<string, string> = {
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+/**
+ * Escapes text for an XML attribute or element.
+ */
+function escapeXml(text: string): string {
+  return text.replace(/[<>&"']/g, (character) => XML_ENTITIES[character] as string);
+}
+
+/**
+ * Creates the browserconfig.xml that Internet Explorer and legacy Edge read the tiles of pinned
+ * sites from.
+ *
+ * @param tiles The name of each tile, ex. "square150x150logo", and the URL of its image.
+ * @param tileColor The background color of the tiles.
+ *
+ * @returns the contents of browserconfig.xml.
+ */
+export function createBrowserconfig(
+  tiles: { name: string; src: string }[],
+  tileColor: string | undefined,
+): string {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<browserconfig>',
+    '  <msapplication>',
+    '    <tile>',
+    ...tiles.map(({ name, src }) => `      <${name} src="${escapeXml(src)}"/>`),
+    ...(tileColor ? [`      <TileColor>${escapeXml(tileColor)}</TileColor>`] : []),
+    '    </tile>',
+    '  </msapplication>',
+    '</browserconfig>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,37 @@
+import path from 'path';
+
+/**
+ * The MIME types of image file extensions. Several extensions don't match their MIME type, ex.
+ * JPEG images have the type "image/jpeg" whatever their extension, and SVG images "image/svg+xml".
+ */
+const IMAGE_MIME_TYPES: Record<string, `image/${string}`> = {
+  apng: 'image/apng',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  gif: 'image/gif',
+  ico: 'image/x-icon',
+  jfif: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  pjpeg: 'image/jpeg',
+  pjp: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  webp: 'image/webp',
+};
+
+/**
+ * Determines the MIME type of an image from the extension of its file name.
+ *
+ * @param fileName The name of an image file.
+ *
+ * @returns the MIME type of the image, or undefined if the extension isn't one of an image.
+ */
+export function getImageMimeType(fileName: string): `image/${string}` | undefined {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  return Object.prototype.hasOwnProperty.call(IMAGE_MIME_TYPES, extension)
+    ? IMAGE_MIME_TYPES[extension]
+    : undefined;
+}
@@ -0,0 +1,336 @@
+import zlib from 'zlib';
+
+/** A decoded image with 8-bit RGBA pixels stored row by row. */
+export interface Bitmap {
+  width: number;
+  height: number;
+  data: Uint8Array;
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** The number of samples per pixel for each PNG color type. */
+const CHANNELS: Record<number, number> = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/** The starting column, starting row, column step and row step of each Adam7 interlace pass. */
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+] as const;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * Computes the CRC-32 checksum that follows every PNG chunk.
+ *
+ * @param buffer The chunk type and data.
+ *
+ * @returns the unsigned checksum.
+ */
+function crc32(buffer: Buffer): number {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = (CRC_TABLE[(crc ^ (buffer[i] as number)) & 0xff] as number) ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * The Paeth predictor from the PNG specification.
+ */
+function paeth(a: number, b: number, c: number): number {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Reverses the per-scanline filters of one (sub)image in place.
+ *
+ * @param data The inflated image data, starting at `offset`.
+ * @param offset The position of the first scanline's filter type byte.
+ * @param rowBytes The number of bytes in each scanline, excluding the filter type byte.
+ * @param rows The number of scanlines.
+ * @param bpp The number of bytes per complete pixel, rounded up to one.
+ */
+function unfilter(data: Buffer, offset: number, rowBytes: number, rows: number, bpp: number) {
+  for (let y = 0; y < rows; y++) {
+    const row = offset + y * (rowBytes + 1);
+    const filter = data[row];
+    const start = row + 1;
+    const previous = start - rowBytes - 1;
+    for (let x = 0; x < rowBytes; x++) {
+      const i = start + x;
+      const left = x >= bpp ? (data[i - bpp] as number) : 0;
+      const up = y > 0 ? (data[previous + x] as number) : 0;
+      const upLeft = y > 0 && x >= bpp ? (data[previous + x - bpp] as number) : 0;
+      let predictor: number;
+      switch (filter) {
+        case 0:
+          predictor = 0;
+          break;
+        case 1:
+          predictor = left;
+          break;
+        case 2:
+          predictor = up;
+          break;
+        case 3:
+          predictor = (left + up) >> 1;
+          break;
+        case 4:
+          predictor = paeth(left, up, upLeft);
+          break;
+        default:
+          throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      data[i] = ((data[i] as number) + predictor) & 0xff;
+    }
+  }
+}
+
+/**
+ * Decodes a PNG image of any color type, bit depth and interlace method into 8-bit RGBA pixels.
+ *
+ * @param buffer The contents of a PNG file.
+ *
+ * @returns the decoded image.
+ */
+export function decodePng(buffer: Buffer): Bitmap {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let interlace = 0;
+  let palette: Buffer | undefined;
+  let transparency: Buffer | undefined;
+  const idat: Buffer[] = [];
+
+  for (let offset = 8; offset + 8 <= buffer.length; ) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      bitDepth = chunk[8] as number;
+      colorType = chunk[9] as number;
+      interlace = chunk[12] as number;
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  const channels = CHANNELS[colorType];
+  if (!width || !height || !channels || (colorType === 3 && !palette)) {
+    throw new Error('Invalid PNG header');
+  }
+
+  const data = zlib.inflateSync(Buffer.concat(idat));
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << bitDepth) - 1;
+  const pixels = new Uint8Array(width * height * 4);
+
+  /*
+    Reads sample `index` of the scanline starting at `row`, scaled to 8 bits unless it is a
+    palette index.
+  */
+  const sample = (row: number, index: number): number => {
+    if (bitDepth === 8) {
+      return data[row + index] as number;
+    }
+    if (bitDepth === 16) {
+      return data[row + index * 2] as number;
+    }
+    const bit = index * bitDepth;
+    const value = ((data[row + (bit >> 3)] as number) >> (8 - bitDepth - (bit & 7))) & maxSample;
+    return colorType === 3 ? value : Math.round((value * 255) / maxSample);
+  };
+
+  /*
+    Reads the raw (unscaled) value of sample `index`, which is what tRNS color keys compare against.
+  */
+  const rawSample = (row: number, index: number): number => {
+    if (bitDepth === 16) {
+      return data.readUInt16BE(row + index * 2);
+    }
+    if (bitDepth === 8) {
+      return data[row + index] as number;
+    }
+    const bit = index * bitDepth;
+    return ((data[row + (bit >> 3)] as number) >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+
+  const writePixel = (row: number, column: number, target: number) => {
+    const base = column * channels;
+    let r: number;
+    let g: number;
+    let b: number;
+    let a = 255;
+    switch (colorType) {
+      case 0:
+        r = g = b = sample(row, base);
+        if (transparency && rawSample(row, base) === transparency.readUInt16BE(0)) {
+          a = 0;
+        }
+        break;
+      case 2:
+        r = sample(row, base);
+        g = sample(row, base + 1);
+        b = sample(row, base + 2);
+        if (
+          transparency &&
+          rawSample(row, base) === transparency.readUInt16BE(0) &&
+          rawSample(row, base + 1) === transparency.readUInt16BE(2) &&
+          rawSample(row, base + 2) === transparency.readUInt16BE(4)
+        ) {
+          a = 0;
+        }
+        break;
+      case 3: {
+        const index = sample(row, base);
+        r = palette![index * 3] as number;
+        g = palette![index * 3 + 1] as number;
+        b = palette![index * 3 + 2] as number;
+        a = transparency && index < transparency.length ? (transparency[index] as number) : 255;
+        break;
+      }
+      case 4:
+        r = g = b = sample(row, base);
+        a = sample(row, base + 1);
+        break;
+      default:
+        r = sample(row, base);
+        g = sample(row, base + 1);
+        b = sample(row, base + 2);
+        a = sample(row, base + 3);
+    }
+    pixels[target] = r;
+    pixels[target + 1] = g;
+    pixels[target + 2] = b;
+    pixels[target + 3] = a;
+  };
+
+  const passes = interlace ? ADAM7 : ([[0, 0, 1, 1]] as const);
+  let offset = 0;
+  for (const [startX, startY, stepX, stepY] of passes) {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    if (passWidth <= 0 || passHeight <= 0) {
+      continue;
+    }
+    const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+    unfilter(data, offset, rowBytes, passHeight, bpp);
+    for (let y = 0; y < passHeight; y++) {
+      const row = offset + y * (rowBytes + 1) + 1;
+      for (let x = 0; x < passWidth; x++) {
+        writePixel(row, x, ((startY + y * stepY) * width + startX + x * stepX) * 4);
+      }
+    }
+    offset += passHeight * (rowBytes + 1);
+  }
+
+  return { width, height, data: pixels };
+}
+
+/**
+ * Creates a PNG chunk with its length and checksum.
+ */
+function chunk(type: string, data: Buffer): Buffer {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encodes 8-bit RGBA pixels as a non-interlaced PNG. Each scanline uses whichever filter yields
+ * the smallest sum of absolute differences, which is the heuristic recommended by the PNG
+ * specification.
+ *
+ * @param image The image to encode.
+ *
+ * @returns the contents of a PNG file.
+ */
+export function encodePng({ width, height, data }: Bitmap): Buffer {
+  const rowBytes = width * 4;
+  const filtered = Buffer.alloc(height * (rowBytes + 1));
+  const candidate = Buffer.alloc(rowBytes);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+    const target = y * (rowBytes + 1);
+    let bestSum = Infinity;
+    for (let filter = 0; filter <= 4; filter++) {
+      let sum = 0;
+      for (let x = 0; x < rowBytes; x++) {
+        const value = data[row + x] as number;
+        const left = x >= 4 ? (data[row + x - 4] as number) : 0;
+        const up = y > 0 ? (data[row - rowBytes + x] as number) : 0;
+        const upLeft = y > 0 && x >= 4 ? (data[row - rowBytes + x - 4] as number) : 0;
+        let predictor = 0;
+        if (filter === 1) {
+          predictor = left;
+        } else if (filter === 2) {
+          predictor = up;
+        } else if (filter === 3) {
+          predictor = (left + up) >> 1;
+        } else if (filter === 4) {
+          predictor = paeth(left, up, upLeft);
+        }
+        const byte = (value - predictor) & 0xff;
+        candidate[x] = byte;
+        sum += byte < 128 ? byte : 256 - byte;
+      }
+      if (sum < bestSum) {
+        bestSum = sum;
+        filtered[target] = filter;
+        candidate.copy(filtered, target + 1);
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(filtered, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
@@ -0,0 +1,33 @@
+import type { AssetInfo } from 'webpack';
+
+/** The options of the `precache` feature. */
+export interface PrecacheConfig {
+  /** The name of the chunk the precache list is added to. Defaults to the chunk of the manifest followed by "-precache". */
+  chunkName?: string;
+}
+
+/** An entry of a precache list, in the format of Workbox's precache manifests. */
+export interface PrecacheEntry {
+  /** The URL the service worker fetches the file from. */
+  url: string;
+  /** A hash of the contents of the file, or null when its URL already changes with its contents. */
+  revision: string | null;
+}
+
+/**
+ * Creates the precache entry of an asset. Workbox only needs a revision to tell when a file has
+ * changed, so it is left out for immutable assets, whose names contain a hash of their contents.
+ *
+ * @param url The URL of the asset.
+ * @param info The info webpack keeps about the asset.
+ * @param getRevision Computes a hash of the contents of the asset.
+ *
+ * @returns the precache entry.
+ */
+export function createPrecacheEntry(
+  url: string,
+  info: AssetInfo,
+  getRevision: () => string,
+): PrecacheEntry {
+  return { url, revision: info.immutable ? null : getRevision() };
+}
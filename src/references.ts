@@ -0,0 +1,79 @@
+import type { AssetInfo } from 'webpack';
+import type { ImageResource, ShortcutItem, WebAppManifest } from 'web-app-manifest';
+
+/**
+ * An image resource whose `src`, and optionally `sizes` and `type`, come from a webpack asset. The
+ * asset is found by the name of its source file, ex. "images/new-post.png", or by a function that
+ * accepts the `fileName` and `info` of each asset and returns true for the one to use.
+ */
+export interface AssetImageResource extends Omit<ImageResource, 'src'> {
+  asset: string | ((fileName: string, info: AssetInfo) => boolean);
+}
+
+/** An image resource, or a reference to a webpack asset that will be resolved into one. */
+export type ImageReference = ImageResource | AssetImageResource;
+
+/** A file handler, which the web-app-manifest types don't know about yet. */
+export interface FileHandler {
+  action: string;
+  accept: Record<string, string | string[]>;
+  name?: string;
+  icons?: ImageResource[];
+  launch_type?: 'single-client' | 'multiple-clients';
+}
+
+/** The manifest members that can contain references to webpack assets. */
+export type ManifestWithReferences = Omit<WebAppManifest, 'icons' | 'shortcuts'> & {
+  shortcuts?: (Omit<ShortcutItem, 'icons'> & { icons?: ImageReference[] })[];
+  file_handlers?: (Omit<FileHandler, 'icons'> & { icons?: ImageReference[] })[];
+};
+
+/**
+ * Determines if the image is a reference to a webpack asset.
+ */
+function isAssetReference(image: ImageReference): image is AssetImageResource {
+  return 'asset' in image;
+}
+
+/**
+ * Replaces the references to webpack assets in `shortcuts[].icons` and `file_handlers[].icons`.
+ *
+ * @param content The manifest content, or the overrides for one locale.
+ * @param resolveImage A function that returns the image resource for a reference, or null if the
+ *   reference doesn't match an asset, in which case the image is left out.
+ *
+ * @returns a copy of the content with every reference resolved.
+ */
+export function resolveImageReferences<T extends Partial<ManifestWithReferences>>(
+  content: T,
+  resolveImage: (image: AssetImageResource) => ImageResource | null,
+): Omit<T, 'shortcuts' | 'file_handlers'> & {
+  shortcuts?: ShortcutItem[];
+  file_handlers?: FileHandler[];
+} {
+  const resolveImages = (images: ImageReference[]): ImageResource[] =>
+    images
+      .map((image) => (isAssetReference(image) ? resolveImage(image) : image))
+      .filter((image): image is ImageResource => !!image);
+
+  const { shortcuts, file_handlers, ...rest } = content;
+  return {
+    ...rest,
+    ...(shortcuts
+      ? {
+          shortcuts: shortcuts.map(({ icons, ...shortcut }) => ({
+            ...shortcut,
+            ...(icons ? { icons: resolveImages(icons) } : {}),
+          })),
+        }
+      : {}),
+    ...(file_handlers
+      ? {
+          file_handlers: file_handlers.map(({ icons, ...handler }) => ({
+            ...handler,
+            ...(icons ? { icons: resolveImages(icons) } : {}),
+          })),
+        }
+      : {}),
+  };
+}
@@ -0,0 +1,141 @@
+import type { Bitmap } from './png';
+
+interface Contribution {
+  start: number;
+  weights: Float64Array;
+}
+
+/**
+ * Precomputes which source pixels contribute to each destination pixel along one axis, and by how
+ * much. A triangle filter is used, widened when shrinking so that every source pixel contributes
+ * to the result instead of being skipped.
+ *
+ * @param sourceSize The number of source pixels along the axis.
+ * @param targetSize The number of destination pixels along the axis.
+ *
+ * @returns one contribution per destination pixel.
+ */
+function contributions(sourceSize: number, targetSize: number): Contribution[] {
+  const scale = targetSize / sourceSize;
+  const support = Math.max(1, 1 / scale);
+
+  return Array.from({ length: targetSize }, (_, i) => {
+    const center = (i + 0.5) / scale - 0.5;
+    const start = Math.max(0, Math.ceil(center - support));
+    const end = Math.min(sourceSize - 1, Math.floor(center + support));
+    const weights = new Float64Array(end - start + 1);
+    let total = 0;
+    for (let j = start; j <= end; j++) {
+      const weight = Math.max(0, 1 - Math.abs(j - center) / support);
+      weights[j - start] = weight;
+      total += weight;
+    }
+    // The support always reaches a pixel with a weight, this only guards against dividing by zero.
+    /* istanbul ignore if */
+    if (total === 0) {
+      const nearest = Math.min(sourceSize - 1, Math.max(0, Math.round(center)));
+      return { start: nearest, weights: Float64Array.of(1) };
+    }
+    return { start, weights: weights.map((weight) => weight / total) };
+  });
+}
+
+/**
+ * Resizes an image to exactly `width` by `height` pixels. Colors are premultiplied by alpha while
+ * filtering so that transparent pixels don't bleed dark fringes into the edges of the artwork.
+ *
+ * @param image The image to resize.
+ * @param width The width of the resized image.
+ * @param height The height of the resized image.
+ *
+ * @returns the resized image.
+ */
+export function resizeBitmap(image: Bitmap, width: number, height: number): Bitmap {
+  const columns = contributions(image.width, width);
+  const rows = contributions(image.height, height);
+
+  // Resize horizontally into a premultiplied floating point buffer with the source height.
+  const intermediate = new Float64Array(width * image.height * 4);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < width; x++) {
+      const { start, weights } = columns[x] as Contribution;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const source = (y * image.width + start + k) * 4;
+        const alpha = (image.data[source + 3] as number) * (weights[k] as number);
+        r += (image.data[source] as number) * alpha;
+        g += (image.data[source + 1] as number) * alpha;
+        b += (image.data[source + 2] as number) * alpha;
+        a += alpha;
+      }
+      const target = (y * width + x) * 4;
+      intermediate[target] = r;
+      intermediate[target + 1] = g;
+      intermediate[target + 2] = b;
+      intermediate[target + 3] = a;
+    }
+  }
+
+  // Resize vertically, then divide the colors by alpha again.
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const { start, weights } = rows[y] as Contribution;
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const source = ((start + k) * width + x) * 4;
+        const weight = weights[k] as number;
+        r += (intermediate[source] as number) * weight;
+        g += (intermediate[source + 1] as number) * weight;
+        b += (intermediate[source + 2] as number) * weight;
+        a += (intermediate[source + 3] as number) * weight;
+      }
+      const target = (y * width + x) * 4;
+      if (a > 0) {
+        data[target] = Math.round(r / a);
+        data[target + 1] = Math.round(g / a);
+        data[target + 2] = Math.round(b / a);
+        data[target + 3] = Math.round(a);
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Resizes an image to fit within a `size` by `size` square, preserving its aspect ratio and
+ * centering it on a transparent background.
+ *
+ * @param image The image to resize.
+ * @param size The width and height of the resulting image.
+ *
+ * @returns the resized image.
+ */
+export function resizeBitmapToSquare(image: Bitmap, size: number): Bitmap {
+  if (image.width === image.height) {
+    return resizeBitmap(image, size, size);
+  }
+
+  const scale = size / Math.max(image.width, image.height);
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const resized = resizeBitmap(image, width, height);
+
+  const data = new Uint8Array(size * size * 4);
+  const left = Math.floor((size - width) / 2);
+  const top = Math.floor((size - height) / 2);
+  for (let y = 0; y < height; y++) {
+    data.set(
+      resized.data.subarray(y * width * 4, (y + 1) * width * 4),
+      ((top + y) * size + left) * 4,
+    );
+  }
+  return { width: size, height: size, data };
+}
@@ -0,0 +1,80 @@
+import path from 'path';
+import type { WebAppManifest } from 'web-app-manifest';
+
+/** The request that application code imports the runtime module with. */
+export const RUNTIME_REQUEST = 'webpack-web-app-manifest-plugin/runtime';
+
+/** The runtime module shipped with the package, which the request is resolved to. */
+export const RUNTIME_PATH = path.join(__dirname, '..', 'runtime.mjs');
+
+/** The string in the runtime module that is replaced with the manifest data. */
+export const RUNTIME_PLACEHOLDER = '__WEBPACK_WEB_APP_MANIFEST_RUNTIME__';
+
+/** The content members that the runtime module exports. */
+const RUNTIME_MEMBERS = [
+  'name',
+  'short_name',
+  'theme_color',
+  'background_color',
+  'display',
+  'start_url',
+  'scope',
+  'lang',
+] as const;
+
+/** The data the runtime module is filled in with. */
+export interface RuntimeData {
+  /** The public path the manifest files are prefixed with, or null to use the public path determined at runtime. */
+  publicPath: string | null;
+  /** The file name of each manifest, keyed by the name of its chunk. */
+  manifests: Record<string, string>;
+  /** The chunk of the manifest whose URL and content are exported on their own. */
+  chunkName: string;
+  /** The members of that manifest that are exported. */
+  content: Partial<Pick<WebAppManifest, typeof RUNTIME_MEMBERS[number]>>;
+}
+
+/**
+ * Collects the data the runtime module exports from the emitted manifests.
+ *
+ * @param manifests The emitted manifests, the first of which is the one whose content is exported.
+ * @param publicPath The resolved public path, or 'auto' if it is determined at runtime.
+ *
+ * @returns the runtime data, or null if no manifest was emitted.
+ */
+export function getRuntimeData(
+  manifests: { chunkName: string; filename: string; manifest: WebAppManifest }[],
+  publicPath: string,
+): RuntimeData | null {
+  const [first] = manifests;
+  if (!first) {
+    return null;
+  }
+  const content: Record<string, unknown> = {};
+  RUNTIME_MEMBERS.filter((member) => first.manifest[member] !== undefined).forEach((member) => {
+    content[member] = first.manifest[member];
+  });
+  const files: Record<string, string> = {};
+  manifests.forEach(({ chunkName, filename }) => {
+    files[chunkName] = filename;
+  });
+  return {
+    publicPath: publicPath === 'auto' ? null : publicPath.replace(/\/?$/, '/'),
+    manifests: files,
+    chunkName: first.chunkName,
+    content,
+  };
+}
+
+/**
+ * Serializes the runtime data so that it can replace the placeholder inside of a string literal.
+ * The JSON is URI encoded, which leaves no quotes or backslashes to escape, however many string
+ * literals deep the module ends up, ex. with `devtool: 'eval'`.
+ *
+ * @param data The runtime data.
+ *
+ * @returns the URI encoded JSON of the data.
+ */
+export function serializeRuntimeData(data: RuntimeData): string {
+  return encodeURIComponent(JSON.stringify(data)).replace(/'/g, '%27');
+}
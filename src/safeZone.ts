@@ -0,0 +1,64 @@
+import { COLOR_TOLERANCE, findEdgeColor, getColorDistance } from './color';
+import type { Bitmap } from './png';
+
+/** The radius of the safe zone of maskable icons, as a fraction of the size of the icon. */
+export const SAFE_ZONE_RADIUS = 0.4;
+
+/**
+ * The share of an icon, in percent, that can be outside the safe zone before it is reported, which
+ * leaves room for anti-aliased edges around the circle.
+ */
+export const SAFE_ZONE_TOLERANCE = 1;
+
+/** How a maskable icon fits into its safe zone, in percentages from 0 to 100. */
+export interface SafeZoneAnalysis {
+  /** The share of the pixels outside the safe zone that aren't fully opaque. */
+  transparent: number;
+  /** The share of the content of the icon, which is what stands out from its background, that is outside the safe zone. */
+  clipped: number;
+}
+
+/**
+ * Analyzes how a maskable icon fits into its safe zone, the centered circle that platforms never
+ * crop. The rest of the icon may be cropped into any shape, so it should be filled with an opaque
+ * background, and the content of the icon should stay inside the circle. The background is the
+ * color along the edges of the icon.
+ *
+ * @param image The maskable icon.
+ *
+ * @returns the shares of transparent pixels and content outside the safe zone.
+ */
+export function analyzeSafeZone(image: Bitmap): SafeZoneAnalysis {
+  const { width, height, data } = image;
+  const background = findEdgeColor(image);
+  const radius = Math.min(width, height) * SAFE_ZONE_RADIUS;
+
+  let outside = 0;
+  let transparent = 0;
+  let content = 0;
+  let clipped = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const alpha = data[offset + 3] as number;
+      // Pixels are measured from their centers.
+      const isOutside = Math.hypot(x + 0.5 - width / 2, y + 0.5 - height / 2) > radius;
+      const isContent =
+        alpha >= 128 && getColorDistance(data, offset, background) > COLOR_TOLERANCE;
+
+      if (isOutside) {
+        outside += 1;
+        transparent += alpha < 255 ? 1 : 0;
+      }
+      if (isContent) {
+        content += 1;
+        clipped += isOutside ? 1 : 0;
+      }
+    }
+  }
+
+  return {
+    transparent: outside ? (transparent / outside) * 100 : 0,
+    clipped: content ? (clipped / content) * 100 : 0,
+  };
+}
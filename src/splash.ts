@@ -0,0 +1,127 @@
+import { flattenBitmap } from './color';
+import type { Rgb } from './color';
+import type { Bitmap } from './png';
+import { resizeBitmapToSquare } from './resize';
+
+/** A device to generate a splash screen for, described by its screen in portrait orientation. */
+export interface SplashScreenDevice {
+  /** The width of the screen in CSS pixels, ex. 390. */
+  width: number;
+  /** The height of the screen in CSS pixels, ex. 844. */
+  height: number;
+  /** The number of physical pixels per CSS pixel, ex. 3. */
+  pixelRatio: number;
+}
+
+/** The options of the `splashScreens` feature. */
+export interface SplashScreensConfig {
+  /** The devices to generate splash screens for. Defaults to the screens of current iPhones and iPads. */
+  devices?: SplashScreenDevice[];
+  /** The name of the chunk the splash screens are added to. Defaults to the chunk of the manifest followed by "-splash-screens". */
+  chunkName?: string;
+}
+
+/** The data of an `apple-touch-startup-image` link tag. */
+export interface SplashScreenLink {
+  rel: 'apple-touch-startup-image';
+  href: string;
+  media: string;
+}
+
+export type Orientation = 'portrait' | 'landscape';
+
+/** The screens of current iPhones and iPads, from the largest to the smallest. */
+export const DEFAULT_SPLASH_SCREEN_DEVICES: SplashScreenDevice[] = [
+  { width: 1024, height: 1366, pixelRatio: 2 }, // iPad Pro 12.9"
+  { width: 834, height: 1194, pixelRatio: 2 }, // iPad Pro 11"
+  { width: 820, height: 1180, pixelRatio: 2 }, // iPad Air
+  { width: 810, height: 1080, pixelRatio: 2 }, // iPad
+  { width: 744, height: 1133, pixelRatio: 2 }, // iPad mini
+  { width: 440, height: 956, pixelRatio: 3 }, // iPhone 16 Pro Max
+  { width: 430, height: 932, pixelRatio: 3 }, // iPhone 15 Pro Max, 15 Plus
+  { width: 428, height: 926, pixelRatio: 3 }, // iPhone 14 Plus, 13 Pro Max
+  { width: 402, height: 874, pixelRatio: 3 }, // iPhone 16 Pro
+  { width: 393, height: 852, pixelRatio: 3 }, // iPhone 15 Pro, 15
+  { width: 390, height: 844, pixelRatio: 3 }, // iPhone 14, 13
+  { width: 375, height: 812, pixelRatio: 3 }, // iPhone 13 mini
+  { width: 414, height: 896, pixelRatio: 2 }, // iPhone 11
+  { width: 375, height: 667, pixelRatio: 2 }, // iPhone SE
+];
+
+/**
+ * Determines which orientations need splash screens from the `orientation` of the manifest.
+ *
+ * @param orientation The `orientation` member of the manifest, if any.
+ *
+ * @returns the orientations the app can launch in.
+ */
+export function getSplashScreenOrientations(orientation: string | undefined): Orientation[] {
+  if (orientation && orientation.startsWith('portrait')) {
+    return ['portrait'];
+  }
+  if (orientation && orientation.startsWith('landscape')) {
+    return ['landscape'];
+  }
+  return ['portrait', 'landscape'];
+}
+
+/**
+ * Creates the media query that matches a device in one orientation, which is how iOS picks the
+ * splash screen to show.
+ *
+ * @param device The device.
+ * @param orientation The orientation of the device.
+ *
+ * @returns the media query.
+ */
+export function getSplashScreenMedia(
+  { width, height, pixelRatio }: SplashScreenDevice,
+  orientation: Orientation,
+): string {
+  return [
+    `(device-width: ${width}px)`,
+    `(device-height: ${height}px)`,
+    `(-webkit-device-pixel-ratio: ${pixelRatio})`,
+    `(orientation: ${orientation})`,
+  ].join(' and ');
+}
+
+/**
+ * Creates a splash screen with an icon centered on a background color. The icon takes up to 40%
+ * of the shorter side of the screen, but is never scaled up.
+ *
+ * @param icon The icon.
+ * @param width The width of the splash screen in physical pixels.
+ * @param height The height of the splash screen in physical pixels.
+ * @param background The color of the splash screen.
+ *
+ * @returns the splash screen.
+ */
+export function createSplashScreen(
+  icon: Bitmap,
+  width: number,
+  height: number,
+  background: Rgb,
+): Bitmap {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(background, i);
+    data[i + 3] = 255;
+  }
+
+  const iconSize = Math.max(
+    1,
+    Math.round(Math.min(Math.min(width, height) * 0.4, Math.max(icon.width, icon.height))),
+  );
+  const resized = flattenBitmap(resizeBitmapToSquare(icon, iconSize), background);
+  const left = Math.floor((width - iconSize) / 2);
+  const top = Math.floor((height - iconSize) / 2);
+  for (let y = 0; y < iconSize; y++) {
+    data.set(
+      resized.data.subarray(y * iconSize * 4, (y + 1) * iconSize * 4),
+      ((top + y) * width + left) * 4,
+    );
+  }
+
+  return { width, height, data };
+}
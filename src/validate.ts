@@ -0,0 +1,286 @@
+import { URL } from 'url';
+
+type MemberType = 'string' | 'boolean' | 'array' | 'object' | 'color' | 'url';
+
+/**
+ * The members of the web app manifest and the type of value each one holds. This includes members
+ * from the W3C specification as well as widely supported extensions to it.
+ */
+const MEMBERS: Record<string, MemberType> = {
+  background_color: 'color',
+  categories: 'array',
+  description: 'string',
+  dir: 'string',
+  display: 'string',
+  display_override: 'array',
+  edge_side_panel: 'object',
+  file_handlers: 'array',
+  handle_links: 'string',
+  iarc_rating_id: 'string',
+  icons: 'array',
+  id: 'url',
+  lang: 'string',
+  launch_handler: 'object',
+  name: 'string',
+  note_taking: 'object',
+  orientation: 'string',
+  prefer_related_applications: 'boolean',
+  protocol_handlers: 'array',
+  related_applications: 'array',
+  scope: 'url',
+  scope_extensions: 'array',
+  screenshots: 'array',
+  share_target: 'object',
+  short_name: 'string',
+  shortcuts: 'array',
+  start_url: 'url',
+  theme_color: 'color',
+};
+
+/** The allowed values of members that are enumerations. */
+const ENUMS: Record<string, string[]> = {
+  dir: ['ltr', 'rtl', 'auto'],
+  display: ['fullscreen', 'standalone', 'minimal-ui', 'browser'],
+  orientation: [
+    'any',
+    'natural',
+    'landscape',
+    'landscape-primary',
+    'landscape-secondary',
+    'portrait',
+    'portrait-primary',
+    'portrait-secondary',
+  ],
+};
+
+/** The values allowed in `display_override`, which extends the `display` values. */
+const DISPLAY_OVERRIDES = [...(ENUMS['display'] as string[]), 'window-controls-overlay', 'tabbed'];
+
+/** The icon purposes defined by the web app manifest specification. */
+export const ICON_PURPOSES = ['any', 'maskable', 'monochrome'];
+
+/** The CSS named colors, from CSS Color Module Level 4. */
+const NAMED_COLORS = new Set(
+  (
+    'aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue ' +
+    'blueviolet brown burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk ' +
+    'crimson cyan darkblue darkcyan darkgoldenrod darkgray darkgreen darkgrey darkkhaki ' +
+    'darkmagenta darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen ' +
+    'darkslateblue darkslategray darkslategrey darkturquoise darkviolet deeppink deepskyblue ' +
+    'dimgray dimgrey dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro ghostwhite ' +
+    'gold goldenrod gray green greenyellow grey honeydew hotpink indianred indigo ivory khaki ' +
+    'lavender lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan ' +
+    'lightgoldenrodyellow lightgray lightgreen lightgrey lightpink lightsalmon lightseagreen ' +
+    'lightskyblue lightslategray lightslategrey lightsteelblue lightyellow lime limegreen linen ' +
+    'magenta maroon mediumaquamarine mediumblue mediumorchid mediumpurple mediumseagreen ' +
+    'mediumslateblue mediumspringgreen mediumturquoise mediumvioletred midnightblue mintcream ' +
+    'mistyrose moccasin navajowhite navy oldlace olive olivedrab orange orangered orchid ' +
+    'palegoldenrod palegreen paleturquoise palevioletred papayawhip peachpuff peru pink plum ' +
+    'powderblue purple rebeccapurple red rosybrown royalblue saddlebrown salmon sandybrown ' +
+    'seagreen seashell sienna silver skyblue slateblue slategray slategrey snow springgreen ' +
+    'steelblue tan teal thistle tomato turquoise violet wheat white whitesmoke yellow ' +
+    'yellowgreen transparent'
+  ).split(' '),
+);
+
+const COLOR_FUNCTION = /^(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(\s*[-+.%\w\s,/]+\)$/;
+
+/**
+ * Determines if `value` is a CSS color, as required by `theme_color` and `background_color`.
+ *
+ * @param value The value of a color member.
+ *
+ * @returns true, if the value is a hex color, a named color or a color function.
+ */
+export function isColor(value: string): boolean {
+  const color = value.trim().toLowerCase();
+  return (
+    /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(color) ||
+    NAMED_COLORS.has(color) ||
+    COLOR_FUNCTION.test(color)
+  );
+}
+
+/**
+ * Describes the JSON type of a value for error messages.
+ */
+function typeOf(value: unknown): string {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Resolves `url` against `base`.
+ *
+ * @returns the resolved URL, or null if it is not a valid URL.
+ */
+function resolveUrl(url: string, base: string): URL | null {
+  try {
+    return new URL(url, base);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Determines if `url` is within the navigation scope `scope`.
+ */
+function isWithinScope(url: URL, scope: URL): boolean {
+  return url.origin === scope.origin && url.pathname.startsWith(scope.pathname);
+}
+
+/**
+ * Checks the image resources of `icons`, `screenshots` or `shortcuts[].icons`.
+ *
+ * @param images The value of an array of image resources.
+ * @param member The name of the member, for error messages.
+ *
+ * @returns the problems found.
+ */
+function validateImages(images: unknown[], member: string): string[] {
+  const problems: string[] = [];
+  images.forEach((image, index) => {
+    const name = `${member}[${index}]`;
+    if (typeOf(image) !== 'object') {
+      problems.push(`${name} must be an object, but it is ${typeOf(image)}.`);
+      return;
+    }
+    const { src, sizes, type, purpose } = image as Record<string, unknown>;
+    if (typeof src !== 'string' || !src) {
+      problems.push(`${name}.src must be a non-empty string.`);
+    }
+    if (
+      sizes !== undefined &&
+      (typeof sizes !== 'string' || !/^(any|\d+x\d+)( (any|\d+x\d+))*$/i.test(sizes))
+    ) {
+      problems.push(`${name}.sizes must be a space separated list of WIDTHxHEIGHT or "any".`);
+    }
+    if (type !== undefined && (typeof type !== 'string' || !/^[\w.+-]+\/[\w.+-]+$/.test(type))) {
+      problems.push(`${name}.type must be a MIME type, but it is ${JSON.stringify(type)}.`);
+    }
+    if (purpose !== undefined) {
+      const purposes = typeof purpose === 'string' ? purpose.split(/\s+/) : [];
+      if (!purposes.length || purposes.some((word) => !ICON_PURPOSES.includes(word))) {
+        problems.push(
+          `${name}.purpose must be a space separated list of ${ICON_PURPOSES.join(', ')}.`,
+        );
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * Validates a web app manifest against the W3C specification. The types of members, the values of
+ * enumerations, the syntax of colors and the relationship between `start_url`, `id` and `scope`
+ * are checked, and members that are not part of the specification are reported.
+ *
+ * @param manifest The complete web app manifest.
+ * @param baseUrl The URL of the manifest, which relative URLs in it are resolved against.
+ *
+ * @returns a human readable description of each problem found.
+ */
+export function validateManifest(webAppManifest: object, baseUrl: string): string[] {
+  const manifest = webAppManifest as Record<string, unknown>;
+  const problems: string[] = [];
+
+  Object.entries(manifest).forEach(([member, value]) => {
+    const expected = MEMBERS[member];
+    if (!expected) {
+      problems.push(`Unknown manifest member ${JSON.stringify(member)}.`);
+      return;
+    }
+
+    const actual = typeOf(value);
+    const expectedJsonType = expected === 'color' || expected === 'url' ? 'string' : expected;
+    if (actual !== expectedJsonType) {
+      problems.push(`${member} must be of type ${expectedJsonType}, but it is ${actual}.`);
+      return;
+    }
+
+    const allowed = ENUMS[member];
+    if (allowed && !allowed.includes(value as string)) {
+      problems.push(
+        `${member} must be one of ${allowed.join(', ')}, but it is ${JSON.stringify(value)}.`,
+      );
+    }
+
+    if (expected === 'color' && !isColor(value as string)) {
+      problems.push(`${member} must be a CSS color, but it is ${JSON.stringify(value)}.`);
+    }
+
+    if (expected === 'url' && !resolveUrl(value as string, baseUrl)) {
+      problems.push(`${member} must be a URL, but it is ${JSON.stringify(value)}.`);
+    }
+  });
+
+  const { display_override, categories, icons, screenshots, shortcuts } = manifest;
+  if (Array.isArray(display_override)) {
+    display_override
+      .filter((mode) => !DISPLAY_OVERRIDES.includes(mode))
+      .forEach((mode) => {
+        problems.push(
+          `display_override contains the unknown display mode ${JSON.stringify(mode)}.`,
+        );
+      });
+  }
+  if (Array.isArray(categories) && categories.some((category) => typeof category !== 'string')) {
+    problems.push('categories must only contain strings.');
+  }
+  if (Array.isArray(icons)) {
+    problems.push(...validateImages(icons, 'icons'));
+  }
+  if (Array.isArray(screenshots)) {
+    problems.push(...validateImages(screenshots, 'screenshots'));
+    screenshots.forEach((screenshot, index) => {
+      const formFactor = screenshot ? screenshot.form_factor : undefined;
+      if (formFactor !== undefined && formFactor !== 'wide' && formFactor !== 'narrow') {
+        problems.push(`screenshots[${index}].form_factor must be one of wide, narrow.`);
+      }
+    });
+  }
+
+  /*
+    Browsers ignore start_url and shortcuts outside of the scope, and an id on a different origin,
+    falling back to defaults the author probably didn't intend.
+  */
+  const startUrl =
+    typeof manifest['start_url'] === 'string' ? resolveUrl(manifest['start_url'], baseUrl) : null;
+  const scope =
+    typeof manifest['scope'] === 'string' ? resolveUrl(manifest['scope'], baseUrl) : null;
+  const id =
+    typeof manifest['id'] === 'string'
+      ? resolveUrl(manifest['id'], startUrl?.href || baseUrl)
+      : null;
+
+  if (startUrl && scope && !isWithinScope(startUrl, scope)) {
+    problems.push(
+      `start_url ${JSON.stringify(manifest['start_url'])} is outside of scope ${JSON.stringify(
+        manifest['scope'],
+      )}.`,
+    );
+  }
+  if (id && startUrl && id.origin !== startUrl.origin) {
+    problems.push(`id must have the same origin as start_url.`);
+  }
+  if (Array.isArray(shortcuts)) {
+    shortcuts.forEach((shortcut, index) => {
+      const { name, url, icons: shortcutIcons } = (shortcut || {}) as Record<string, unknown>;
+      if (typeof name !== 'string' || typeof url !== 'string') {
+        problems.push(`shortcuts[${index}] must have a string name and url.`);
+        return;
+      }
+      const shortcutUrl = resolveUrl(url, baseUrl);
+      if (shortcutUrl && scope && !isWithinScope(shortcutUrl, scope)) {
+        problems.push(`shortcuts[${index}].url ${JSON.stringify(url)} is outside of scope.`);
+      }
+      if (Array.isArray(shortcutIcons)) {
+        problems.push(...validateImages(shortcutIcons, `shortcuts[${index}].icons`));
+      }
+    });
+  }
+
+  return problems;
+}